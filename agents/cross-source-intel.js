@@ -5,10 +5,16 @@
  * Correlates across sleep, HR, HRV, workouts, SpO2 — something
  * no single wearable app can do because they only see their own silo.
  *
- * Runs 100% locally via Ollama. Data never leaves your machine.
+ * Runs 100% locally via Ollama, llama.cpp or an OpenAI-compatible server. Data never leaves your machine.
  */
 
-import { chat } from '../lib/ollama.js';
+import { chat } from '../lib/llm.js';
+import { resolveLLMConfig } from '../lib/config.js';
+import { completeWithSchema } from '../lib/schema.js';
+import { budgetPrompt } from '../lib/context-budget.js';
+import { loadPrompt, renderPrompt } from '../lib/prompts.js';
+import { checkGrounding } from '../lib/grounding.js';
+import { scoreStats } from '../lib/templates.js';
 import { computeStats, crossCorrelate } from '../lib/health-parser.js';
 
 const AGENT_META = {
@@ -18,62 +24,122 @@ const AGENT_META = {
   description: 'Finds hidden patterns across your health data that no single app can see',
   icon: '🔬',
   requiredData: ['sleep', 'heartRate|restingHR', 'hrv'],
-  optionalData: ['workouts', 'spo2', 'steps', 'activeEnergy'],
+  optionalData: ['workouts', 'spo2', 'steps', 'activeEnergy', 'caffeine', 'water', 'mindful', 'vo2Max', 'wristTemp', 'systolicBP', 'diastolicBP', 'glucose'],
   accessDuration: '24h',
-  processing: 'local'
+  processing: 'local',
+  // Registry entries (lib/agent-registry.js): API route, --agent names, CLI summary lines
+  route: 'cross-source',
+  resultKey: 'crossSource',
+  aliases: ['intel', '1'],
+  shortName: 'Cross-Source',
+  runningMessage: 'Correlating across all data sources...',
+  summary: [
+    { icon: '📊', label: 'Correlations found', path: 'correlationsFound' },
+    { icon: '💡', path: 'insights.headline' }
+  ]
 };
 
-const SYSTEM_PROMPT = `You are a health data analyst for Proofi, a sovereign health intelligence platform. You analyze CROSS-SOURCE health data to find insights that no single wearable app can provide.
-
-RULES:
-- Be specific with numbers. Never say "your HRV is low" — say "your HRV averaged 32ms this week, down 18% from last week's 39ms"
-- Always explain WHY something matters, not just what the data shows
-- Every insight must reference at least 2 data sources — that's the whole point
-- Give actionable recommendations, not vague advice
-- Use a direct, confident tone. No hedging.
-- Format output as JSON with the exact structure requested
-- Do NOT include medical disclaimers in every insight — one disclaimer at the end is enough
-- Severity: "high" = needs attention now, "medium" = worth adjusting, "low" = interesting pattern
-
-You are running 100% locally on the user's machine. Their data never left their device. This is sovereign AI.`;
+// The JSON structure the prompt asks for (see prompts/cross-source-intel.md)
+const OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['headline', 'insights', 'scores', 'top_recommendation'],
+  properties: {
+    headline: { type: 'string' },
+    insights: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['title', 'finding', 'severity'],
+        properties: {
+          title: { type: 'string' },
+          finding: { type: 'string' },
+          why_it_matters: { type: 'string' },
+          action: { type: 'string' },
+          sources: { type: 'array', items: { type: 'string' } },
+          severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+          shareable: { type: 'string' }
+        }
+      }
+    },
+    scores: {
+      type: 'object',
+      required: ['sleep', 'recovery', 'activity', 'overall'],
+      properties: {
+        sleep: { type: 'number', minimum: 0, maximum: 100 },
+        recovery: { type: 'number', minimum: 0, maximum: 100 },
+        activity: { type: 'number', minimum: 0, maximum: 100 },
+        overall: { type: 'number', minimum: 0, maximum: 100 }
+      }
+    },
+    top_recommendation: { type: 'string' }
+  }
+};
 
-export async function run(healthData, userGoals = []) {
+/**
+ * With `template`, the reply is built from the computed numbers alone (see
+ * lib/templates.js) and no model is called.
+ * onProgress, if given, receives { phase } events as the run goes:
+ * stats, correlations ({ count }), then template, or generating ({ model }), token ({ text }),
+ * repair ({ attempt, errors }) when the reply doesn't fit OUTPUT_SCHEMA, parsed ({ ok }).
+ * queued ({ position }) and retry ({ attempt, delayMs, error }) can come while
+ * generating. Aborting `signal` cancels the model call and rejects the run.
+ * The result's `context` lists the prompt sections trimmed to fit llm.numCtx.
+ * `prompt` records which template wrote the reply: { version, hash, source } (see lib/prompts.js).
+ */
+export async function run(healthData, userGoals = [], { llm = resolveLLMConfig(), template = false, signal, onProgress } = {}) {
   const startTime = Date.now();
   const stats = computeStats(healthData);
+  onProgress?.({ phase: 'stats', dataTypes: Object.keys(stats).length });
   const correlations = crossCorrelate(healthData);
+  onProgress?.({ phase: 'correlations', count: correlations.length });
 
-  // Build the analysis prompt with real data
-  const dataContext = buildDataContext(stats, correlations, userGoals);
-
-  const response = await chat([
-    { role: 'system', content: SYSTEM_PROMPT },
-    { role: 'user', content: dataContext }
-  ], { temperature: 0.3, json: true });
-
-  let insights;
-  try {
-    insights = JSON.parse(response.trim());
-  } catch {
-    try {
-      const cleaned = response.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-      const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-      insights = jsonMatch ? JSON.parse(jsonMatch[0]) : { raw: response };
-    } catch {
-      insights = { raw: response };
-    }
+  let reply, context, prompt;
+  if (template) {
+    onProgress?.({ phase: 'template' });
+    reply = { value: templateReply(stats, correlations), model: null, usage: null, attempts: 0 };
+  } else {
+    // prompts/cross-source-intel.md, or its override; variables: goals, stats (computeStats), correlations
+    prompt = loadPrompt('cross-source-intel');
+    const vars = { goals: userGoals.length ? userGoals : ['general health optimization'], stats, correlations };
+    const system = renderPrompt(prompt, 'system', vars);
+    // Build the analysis prompt with real data, trimmed to the model's context window
+    const budgeted = budgetPrompt(buildDataContext(prompt, vars, stats, correlations), { llm, system, goals: userGoals });
+    context = budgeted.context;
+
+    onProgress?.({ phase: 'generating', model: llm.model });
+    const send = (messages) => chat(messages, {
+      temperature: 0.3, ...llm, numPredict: budgeted.numPredict, json: true, signal,
+      onToken: onProgress && (text => onProgress({ phase: 'token', text })),
+      onQueued: onProgress && (position => onProgress({ phase: 'queued', position })),
+      onRetry: onProgress && (e => onProgress({ phase: 'retry', ...e }))
+    });
+    reply = await completeWithSchema(send, [
+      { role: 'system', content: system },
+      { role: 'user', content: budgeted.prompt }
+    ], OUTPUT_SCHEMA, { onRepair: onProgress && (e => onProgress({ phase: 'repair', ...e })) });
+    onProgress?.({ phase: 'parsed', ok: !reply.error });
   }
+  const insights = reply.value;
 
   return {
     agent: AGENT_META,
     timestamp: new Date().toISOString(),
     processingTime: Date.now() - startTime,
     processingLocation: 'local',
-    model: 'llama3.2',
+    renderer: template ? 'template' : 'llm',
+    model: reply.model,
+    usage: reply.usage,
+    attempts: reply.attempts,
+    ...(prompt && { prompt: { version: prompt.version, hash: prompt.hash, source: prompt.source } }),
+    ...(context && { context }),
     dataSourcesUsed: Object.keys(stats),
     recordsAnalyzed: Object.values(healthData).reduce((sum, arr) => sum + arr.length, 0),
     correlationsFound: correlations.length,
     preComputedCorrelations: correlations,
     insights,
+    ...(insights && { grounding: checkGrounding(insights, { stats, correlations }) }),
+    ...(reply.error && { outputError: reply.error }),
     sovereignty: {
       dataLocation: 'local',
       modelLocation: 'local',
@@ -83,103 +149,258 @@ export async function run(healthData, userGoals = []) {
   };
 }
 
-function buildDataContext(stats, correlations, userGoals) {
-  let prompt = `Analyze this cross-source health data and produce insights. The user's goals: ${userGoals.length ? userGoals.join(', ') : 'general health optimization'}.
+const SEVERITY_PRIORITY = { high: 3, medium: 2, low: 1 };
+
+// The prompt as sections for lib/context-budget.js; rarer data types and the
+// raw numbers behind each correlation are the first to go on a small model
+function buildDataContext(prompt, vars, stats, correlations) {
+  const sections = [{
+    id: 'task',
+    required: true,
+    text: `${renderPrompt(prompt, 'task', vars)}\n`
+  }];
 
-## Pre-computed correlations from statistical analysis:
-${correlations.map(c => `- [${c.severity.toUpperCase()}] ${c.finding} (sources: ${c.sources.join(' + ')}, data: ${JSON.stringify(c.data)})`).join('\n')}
+  for (const c of correlations) {
+    const line = `- [${c.severity.toUpperCase()}] ${c.finding} (sources: ${c.sources.join(' + ')}`;
+    sections.push({
+      id: `correlation:${c.id}`,
+      topics: c.sources,
+      priority: SEVERITY_PRIORITY[c.severity],
+      text: `${line}, data: ${JSON.stringify(c.data)})\n`,
+      summary: `${line})\n`
+    });
+  }
 
-## Summary Statistics:
-`;
+  sections.push({ id: 'statistics', required: true, text: '\n## Summary Statistics:\n' });
 
   if (stats.sleep) {
-    prompt += `
+    sections.push({ id: 'sleep', topics: ['sleep'], priority: 2, text: `
 ### Sleep (${stats.sleep.count} nights)
 - Avg duration: ${stats.sleep.avgDuration.toFixed(1)}h (std dev: ${stats.sleep.stdDevDuration.toFixed(2)}h)
 - Avg bedtime: ${formatHour(stats.sleep.avgBedtime)}
 - Avg deep sleep: ${(stats.sleep.avgDeepPct * 100).toFixed(1)}%
 - Range: ${stats.sleep.minDuration.toFixed(1)}h — ${stats.sleep.maxDuration.toFixed(1)}h
 - Last 7 nights: ${stats.sleep.last7.map(s => `${s.durationHours.toFixed(1)}h`).join(', ')}
-`;
+` });
   }
 
   if (stats.hrv) {
-    prompt += `
+    sections.push({ id: 'hrv', topics: ['hrv'], priority: 2, text: `
 ### HRV (${stats.hrv.count} readings)
 - Overall avg: ${stats.hrv.avg.toFixed(0)}ms
 - Last 7d avg: ${stats.hrv.last7avg.toFixed(0)}ms vs prev 7d: ${stats.hrv.prev7avg.toFixed(0)}ms (${stats.hrv.weekOverWeekChange?.toFixed(1) || 'N/A'}% change)
 - 30-day trend: ${stats.hrv.trend.direction} (slope: ${stats.hrv.trend.slope})
 - Range: ${stats.hrv.min}ms — ${stats.hrv.max}ms
-`;
+` });
   }
 
   if (stats.restingHR) {
-    prompt += `
+    sections.push({ id: 'restingHR', topics: ['restingHR'], priority: 2, text: `
 ### Resting Heart Rate (${stats.restingHR.count} readings)
 - Overall avg: ${stats.restingHR.avg.toFixed(1)}bpm
 - Last 7d: ${stats.restingHR.last7avg.toFixed(1)}bpm vs prev 7d: ${stats.restingHR.prev7avg.toFixed(1)}bpm
 - 30-day trend: ${stats.restingHR.trend.direction}
-`;
+` });
   }
 
   if (stats.workouts) {
-    prompt += `
+    sections.push({ id: 'workouts', topics: ['workouts'], priority: 2, text: `
 ### Workouts (${stats.workouts.count} sessions)
 - Avg per week: ${stats.workouts.avgPerWeek.toFixed(1)}
 - Types: ${Object.entries(stats.workouts.byType).map(([k, v]) => `${k}: ${v}`).join(', ')}
 - Late intense workouts (after 7pm): ${stats.workouts.lateIntenseCount}
 - Avg calories: ${stats.workouts.avgCalories.toFixed(0)} kcal
 - Avg duration: ${stats.workouts.avgDuration.toFixed(0)} min
-`;
+` });
   }
 
   if (stats.spo2) {
-    prompt += `
+    sections.push({ id: 'spo2', topics: ['spo2'], priority: 1, text: `
 ### Blood Oxygen (${stats.spo2.count} readings)
 - Avg: ${stats.spo2.avg.toFixed(1)}%
 - Min: ${stats.spo2.min.toFixed(1)}%
 - Dips below 96%: ${stats.spo2.dipsBelow96} occurrences
-`;
+` });
   }
 
   if (stats.steps) {
-    prompt += `
+    sections.push({ id: 'steps', topics: ['steps'], priority: 2, text: `
 ### Steps
 - Daily avg: ${stats.steps.avg.toLocaleString()}
 - Days above 10K: ${stats.steps.daysAbove10k}
 - Days below 5K: ${stats.steps.daysBelow5k}
-`;
-  }
-
-  prompt += `
-
-## Instructions:
-Produce a JSON response with exactly this structure:
-{
-  "headline": "One-sentence summary of the most important finding",
-  "insights": [
-    {
-      "title": "Short title",
-      "finding": "What the data shows — be specific with numbers",
-      "why_it_matters": "Why this is important for health",
-      "action": "Specific, actionable recommendation",
-      "sources": ["data types used"],
-      "severity": "high|medium|low",
-      "shareable": "A tweet-length version of this insight for sharing"
-    }
-  ],
-  "scores": {
-    "sleep": 0-100,
-    "recovery": 0-100,
-    "activity": 0-100,
-    "overall": 0-100
-  },
-  "top_recommendation": "The single most impactful change this person could make"
+` });
+  }
+
+  if (stats.caffeine) {
+    sections.push({ id: 'caffeine', topics: ['caffeine'], priority: 1, text: `
+### Caffeine (${stats.caffeine.days} days logged)
+- Daily avg: ${stats.caffeine.avgDaily}mg, of which after 2pm: ${stats.caffeine.avgAfter2pm}mg
+- Days with caffeine after 2pm: ${stats.caffeine.daysWithLateCaffeine}
+` });
+  }
+
+  if (stats.water) {
+    sections.push({ id: 'water', topics: ['water'], priority: 1, text: `
+### Water
+- Daily avg: ${stats.water.avgDaily}ml
+- Days below 1.5L: ${stats.water.daysBelow1500}
+` });
+  }
+
+  if (stats.mindful) {
+    sections.push({ id: 'mindful', topics: ['mindful'], priority: 1, text: `
+### Mindfulness (${stats.mindful.daysWithSession} days with a session)
+- Avg session time per day: ${stats.mindful.avgMinutes.toFixed(0)} min
+- Sessions in the last 7 days: ${stats.mindful.last7days}
+` });
+  }
+
+  if (stats.vo2Max) {
+    sections.push({ id: 'vo2Max', topics: ['vo2Max'], priority: 1, text: `
+### VO2 Max (${stats.vo2Max.count} readings)
+- Latest: ${stats.vo2Max.latest} mL/kg/min (${stats.vo2Max.change > 0 ? '+' : ''}${stats.vo2Max.change} since first reading)
+` });
+  }
+
+  if (stats.wristTemp) {
+    sections.push({ id: 'wristTemp', topics: ['wristTemp'], priority: 1, text: `
+### Sleeping Wrist Temperature
+- Baseline: ${stats.wristTemp.baseline}°C, last 7 nights: ${stats.wristTemp.last7avg}°C
+- Nights ≥0.5°C above baseline: ${stats.wristTemp.nightsAboveBaseline}
+` });
+  }
+
+  if (stats.bloodPressure) {
+    sections.push({ id: 'bloodPressure', topics: ['bloodPressure'], priority: 1, text: `
+### Blood Pressure (${stats.bloodPressure.days} days)
+- Avg: ${stats.bloodPressure.avgSystolic}/${stats.bloodPressure.avgDiastolic} mmHg
+- Days at or above 130/80: ${stats.bloodPressure.elevatedDays}
+` });
+  }
+
+  if (stats.glucose) {
+    sections.push({ id: 'glucose', topics: ['glucose'], priority: 1, text: `
+### Blood Glucose (${stats.glucose.days} days)
+- Avg: ${stats.glucose.avg} mg/dL (range ${stats.glucose.min}-${stats.glucose.max})
+` });
+  }
+
+  sections.push({ id: 'sources', priority: 0, text: `
+### Data Sources (records per device, after de-duplicating overlaps)
+${formatSources(stats.sources)}
+` });
+
+  sections.push({ id: 'instructions', required: true, text: `\n\n${renderPrompt(prompt, 'instructions', vars)}` });
+
+  return sections;
 }
 
-Generate 4-6 insights, ranked by severity. Focus on CROSS-SOURCE findings — patterns that require multiple data types to detect. This is what makes Proofi different from any single app.`;
+// What to say about each pre-computed correlation when there's no model to write it
+const CORRELATION_TEXT = {
+  late_workout_hrv: {
+    title: 'Late workouts cost you recovery',
+    why: 'HRV is your recovery signal; hard training close to bedtime keeps your nervous system switched on through the night.',
+    action: 'Move intense sessions earlier in the day, and keep evening training easy.'
+  },
+  sleep_rhr: {
+    title: 'Short nights raise your resting heart rate',
+    why: 'A higher resting heart rate the next day means your body is still working to recover.',
+    action: 'Protect a full night: set a wind-down alarm an hour before your usual bedtime.'
+  },
+  deep_sleep_spo2: {
+    title: 'Blood oxygen tracks your deep sleep',
+    why: 'Lower overnight oxygen can fragment sleep and cut into the deep stages where physical repair happens.',
+    action: 'Keep an eye on repeated low readings, and raise them with a doctor if they persist.'
+  },
+  caffeine_deep_sleep: {
+    title: 'Afternoon caffeine cuts your deep sleep',
+    why: 'Caffeine stays active for hours, so an afternoon coffee is still in your system at bedtime.',
+    action: 'Switch to decaf after lunch.'
+  },
+  mindfulness_hrv: {
+    title: 'Mindfulness shows up in your HRV',
+    why: 'HRV rises when the rest-and-digest system is in charge, which is what breathing and meditation practice trains.',
+    action: 'Keep a short daily session, ideally in the evening.'
+  },
+  bedtime_consistency: {
+    title: 'Consistent bedtimes, deeper sleep',
+    why: 'Your body clock schedules deep sleep for when it expects you to be asleep.',
+    action: 'Pick a bedtime and hold it every night, weekends included.'
+  },
+  compound_stress: {
+    title: 'Late workouts and short sleep compound',
+    why: 'Each stressor alone is manageable; together they leave no room to recover.',
+    action: 'On days you train late, make a full night of sleep non-negotiable.'
+  }
+};
+
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
 
-  return prompt;
+// The reply's structure, filled from the correlations (most severe first) and,
+// when there are fewer than four, the headline stats
+function templateReply(stats, correlations) {
+  const insights = [...correlations]
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+    .slice(0, 6)
+    .map(c => ({
+      title: CORRELATION_TEXT[c.id]?.title || c.id.replace(/_/g, ' '),
+      finding: c.finding,
+      why_it_matters: CORRELATION_TEXT[c.id]?.why || '',
+      action: CORRELATION_TEXT[c.id]?.action || '',
+      sources: c.sources,
+      severity: c.severity,
+      shareable: `${c.finding}. Found by cross-checking ${c.sources.join(' + ')} on my own device with Proofi.`
+    }));
+  insights.push(...statInsights(stats).slice(0, Math.max(0, 4 - insights.length)));
+
+  return {
+    headline: insights[0]?.finding || 'Not enough overlapping data yet to find cross-source patterns',
+    insights,
+    scores: scoreStats(stats),
+    top_recommendation: insights.find(i => i.action)?.action || 'Keep syncing all your devices so patterns across them can surface.'
+  };
+}
+
+function statInsights(stats) {
+  const insights = [];
+  if (stats.sleep) {
+    const short = stats.sleep.avgDuration < 7;
+    insights.push({
+      title: short ? 'You are running on short sleep' : 'Your sleep duration is on target',
+      finding: `You averaged ${stats.sleep.avgDuration.toFixed(1)}h a night over ${stats.sleep.count} nights, with ${(stats.sleep.avgDeepPct * 100).toFixed(1)}% deep sleep`,
+      why_it_matters: 'Sleep is when recovery, memory and appetite regulation happen; most adults need at least seven hours.',
+      action: short ? 'Bring your bedtime forward in small steps until you reach seven hours.' : 'Keep your current schedule.',
+      sources: ['sleep'],
+      severity: short ? 'high' : 'low',
+      shareable: ''
+    });
+  }
+  if (stats.hrv && stats.hrv.weekOverWeekChange !== null) {
+    const down = stats.hrv.weekOverWeekChange < 0;
+    insights.push({
+      title: down ? 'HRV is down this week' : 'HRV is up this week',
+      finding: `HRV averaged ${stats.hrv.last7avg.toFixed(0)}ms over the last 7 days vs ${stats.hrv.prev7avg.toFixed(0)}ms the week before (${stats.hrv.weekOverWeekChange.toFixed(1)}%)`,
+      why_it_matters: 'HRV reflects how recovered your nervous system is; a falling week often follows stress, illness or hard training.',
+      action: down ? 'Plan an easier few days and prioritize sleep.' : 'You have room for harder training this week.',
+      sources: ['hrv'],
+      severity: down && stats.hrv.weekOverWeekChange < -10 ? 'high' : down ? 'medium' : 'low',
+      shareable: ''
+    });
+  }
+  if (stats.steps) {
+    const low = stats.steps.avg < 7000;
+    insights.push({
+      title: low ? 'Daily movement is low' : 'You are moving well',
+      finding: `You averaged ${stats.steps.avg.toLocaleString('en-US')} steps a day, with ${stats.steps.daysAbove10k} days above 10K and ${stats.steps.daysBelow5k} below 5K`,
+      why_it_matters: 'Daily steps are one of the strongest everyday predictors of long-term health.',
+      action: low ? 'Add a short walk after your biggest meal.' : 'Keep it up.',
+      sources: ['steps'],
+      severity: low ? 'medium' : 'low',
+      shareable: ''
+    });
+  }
+  return insights;
 }
 
 function formatHour(h) {
@@ -188,4 +409,11 @@ function formatHour(h) {
   return `${hours}:${mins.toString().padStart(2, '0')}`;
 }
 
-export { AGENT_META };
+// "- steps: Apple Watch (84), iPhone (6)" per metric, so the model can name the device
+function formatSources(sources = {}) {
+  return Object.entries(sources)
+    .map(([metric, list]) => `- ${metric}: ${list.map(s => `${s.source} (${s.records})`).join(', ')}`)
+    .join('\n');
+}
+
+export { AGENT_META, OUTPUT_SCHEMA };
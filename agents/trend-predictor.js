@@ -5,11 +5,18 @@
  * become problems. Uses 30-90 days of data to find trends that
  * daily snapshots miss.
  *
- * Runs 100% locally via Ollama. Data never leaves your machine.
+ * Runs 100% locally via Ollama, llama.cpp or an OpenAI-compatible server. Data never leaves your machine.
  */
 
-import { chat } from '../lib/ollama.js';
+import { chat } from '../lib/llm.js';
+import { resolveLLMConfig } from '../lib/config.js';
+import { completeWithSchema } from '../lib/schema.js';
+import { budgetPrompt } from '../lib/context-budget.js';
+import { loadPrompt, renderPrompt } from '../lib/prompts.js';
+import { checkGrounding } from '../lib/grounding.js';
+import { signed } from '../lib/templates.js';
 import { computeStats } from '../lib/health-parser.js';
+import { addDays, dayOfWeek } from '../lib/time.js';
 
 const AGENT_META = {
   id: 'proofi-trend-predictor',
@@ -18,63 +25,121 @@ const AGENT_META = {
   description: 'Detects slow-moving health trends and predicts issues before they surface',
   icon: '📈',
   requiredData: ['sleep'],
-  optionalData: ['hrv', 'restingHR', 'workouts', 'spo2', 'bodyMass', 'steps'],
+  optionalData: ['hrv', 'restingHR', 'workouts', 'spo2', 'bodyMass', 'steps', 'vo2Max', 'wristTemp', 'caffeine', 'mindful', 'systolicBP', 'diastolicBP', 'glucose'],
   minimumDays: 30,
   accessDuration: '1h',
-  processing: 'local'
+  processing: 'local',
+  // Registry entries (lib/agent-registry.js): API route, --agent names, CLI summary lines
+  route: 'trend',
+  aliases: ['2'],
+  shortName: 'Trends',
+  runningMessage: 'Analyzing longitudinal patterns...',
+  summary: [{ icon: '💡', path: 'analysis.headline' }]
 };
 
-const SYSTEM_PROMPT = `You are a longitudinal health trend analyst for Proofi. You analyze 30-90 days of health data to detect slow-moving trends that daily snapshots miss.
-
-Your specialty: PREDICTION. You don't just say "your sleep is declining" — you project forward and warn about what happens if the trend continues.
-
-RULES:
-- Always quantify trends with specific numbers and timeframes
-- Compare time periods: last 7 days vs previous 7, last 30 vs previous 30
-- Identify inflection points — when did a trend start?
-- Project forward: "At this rate, in 2 weeks..."
-- Distinguish between noise (random variance) and signal (real trends)
-- Reference specific dates/periods when you can
-- Format output as JSON with the exact structure requested
-- Be direct. No hedging. If the data shows a clear trend, say so.
-
-You are running 100% locally. Sovereign AI — no data leaves this machine.`;
+// The JSON structure the prompt asks for (see prompts/trend-predictor.md)
+const OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['headline', 'trends', 'predictions', 'bright_spots', 'weekly_focus'],
+  properties: {
+    headline: { type: 'string' },
+    trends: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['metric', 'direction', 'risk_level'],
+        properties: {
+          metric: { type: 'string' },
+          direction: { type: 'string', enum: ['improving', 'declining', 'stable', 'volatile'] },
+          magnitude: { type: 'string' },
+          inflection_point: { type: 'string' },
+          projection: { type: 'string' },
+          risk_level: { type: 'string', enum: ['high', 'medium', 'low'] },
+          recommendation: { type: 'string' }
+        }
+      }
+    },
+    predictions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['prediction', 'confidence'],
+        properties: {
+          timeframe: { type: 'string' },
+          prediction: { type: 'string' },
+          confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+          based_on: { type: 'string' }
+        }
+      }
+    },
+    bright_spots: { type: 'array', items: { type: 'string' } },
+    weekly_focus: { type: 'string' }
+  }
+};
 
-export async function run(healthData, userGoals = []) {
+/**
+ * With `template`, the reply is built from the computed trends alone (see
+ * lib/templates.js) and no model is called.
+ * onProgress, if given, receives { phase } events as the run goes:
+ * stats, trends ({ count }), then template, or generating ({ model }), token ({ text }),
+ * repair ({ attempt, errors }) when the reply doesn't fit OUTPUT_SCHEMA, parsed ({ ok }).
+ * queued ({ position }) and retry ({ attempt, delayMs, error }) can come while
+ * generating. Aborting `signal` cancels the model call and rejects the run.
+ * The result's `context` lists the prompt sections trimmed to fit llm.numCtx.
+ * `prompt` records which template wrote the reply: { version, hash, source } (see lib/prompts.js).
+ */
+export async function run(healthData, userGoals = [], { llm = resolveLLMConfig(), template = false, signal, onProgress } = {}) {
   const startTime = Date.now();
-  const trends = computeTrends(healthData);
   const stats = computeStats(healthData);
-
-  const prompt = buildPrompt(trends, stats, userGoals);
-
-  const response = await chat([
-    { role: 'system', content: SYSTEM_PROMPT },
-    { role: 'user', content: prompt }
-  ], { temperature: 0.3, json: true });
-
-  let analysis;
-  try {
-    analysis = JSON.parse(response.trim());
-  } catch {
-    try {
-      const cleaned = response.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-      const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-      analysis = jsonMatch ? JSON.parse(jsonMatch[0]) : { raw: response };
-    } catch {
-      analysis = { raw: response };
-    }
+  onProgress?.({ phase: 'stats', dataTypes: Object.keys(stats).length });
+  const trends = computeTrends(healthData);
+  onProgress?.({ phase: 'trends', count: Object.keys(trends).length });
+
+  let reply, context, prompt;
+  if (template) {
+    onProgress?.({ phase: 'template' });
+    reply = { value: templateReply(trends), model: null, usage: null, attempts: 0 };
+  } else {
+    // prompts/trend-predictor.md, or its override; variables: goals, trends (computeTrends), stats (computeStats)
+    prompt = loadPrompt('trend-predictor');
+    const vars = { goals: userGoals.length ? userGoals : ['general health optimization'], trends, stats };
+    const system = renderPrompt(prompt, 'system', vars);
+    const budgeted = budgetPrompt(buildPrompt(prompt, vars, trends, stats), { llm, system, goals: userGoals });
+    context = budgeted.context;
+
+    onProgress?.({ phase: 'generating', model: llm.model });
+    const send = (messages) => chat(messages, {
+      temperature: 0.3, ...llm, numPredict: budgeted.numPredict, json: true, signal,
+      onToken: onProgress && (text => onProgress({ phase: 'token', text })),
+      onQueued: onProgress && (position => onProgress({ phase: 'queued', position })),
+      onRetry: onProgress && (e => onProgress({ phase: 'retry', ...e }))
+    });
+    reply = await completeWithSchema(send, [
+      { role: 'system', content: system },
+      { role: 'user', content: budgeted.prompt }
+    ], OUTPUT_SCHEMA, { onRepair: onProgress && (e => onProgress({ phase: 'repair', ...e })) });
+    onProgress?.({ phase: 'parsed', ok: !reply.error });
   }
+  const analysis = reply.value;
 
   return {
     agent: AGENT_META,
     timestamp: new Date().toISOString(),
     processingTime: Date.now() - startTime,
     processingLocation: 'local',
-    model: 'llama3.2',
+    renderer: template ? 'template' : 'llm',
+    model: reply.model,
+    usage: reply.usage,
+    attempts: reply.attempts,
+    ...(prompt && { prompt: { version: prompt.version, hash: prompt.hash, source: prompt.source } }),
+    ...(context && { context }),
     dataSourcesUsed: Object.keys(trends),
     daysAnalyzed: healthData.sleep?.length || 0,
     preComputedTrends: trends,
     analysis,
+    ...(analysis && { grounding: checkGrounding(analysis, { trends, stats }) }),
+    ...(reply.error && { outputError: reply.error }),
     sovereignty: {
       dataLocation: 'local',
       modelLocation: 'local',
@@ -121,7 +186,7 @@ function computeTrends(data) {
       first14avg: avg(sorted.slice(0, 14).map(s => s.durationHours)),
       last14avg: avg(sorted.slice(-14).map(s => s.durationHours)),
       overallSlope: linearSlope(durations),
-      deepSleepSlope: linearSlope(sorted.map(s => s.deepSleepPct)),
+      deepSleepSlope: linearSlope(sorted.map(s => s.deepSleepPct).filter(Number.isFinite)),
       bedtimeSlope: linearSlope(sorted.map(s => s.bedtimeHour)),
       declineStartDate: declineStart,
       daysTracked: sorted.length
@@ -192,18 +257,98 @@ function computeTrends(data) {
     };
   }
 
+  if (data.vo2Max?.length >= 3) {
+    const sorted = [...data.vo2Max].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const vals = sorted.map(v => v.mlKgMin);
+
+    trends.vo2Max = {
+      first: vals[0],
+      last: vals[vals.length - 1],
+      change: vals[vals.length - 1] - vals[0],
+      firstDate: sorted[0].date,
+      lastDate: sorted[sorted.length - 1].date,
+      readings: vals.length
+    };
+  }
+
+  if (data.wristTemp?.length >= 14) {
+    const sorted = [...data.wristTemp].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const vals = sorted.map(t => t.celsius);
+
+    trends.wristTemp = {
+      baseline: avg(vals),
+      last7avg: avg(vals.slice(-7)),
+      overallSlope: linearSlope(vals),
+      daysTracked: sorted.length
+    };
+  }
+
+  if (data.caffeine?.length >= 14) {
+    const sorted = [...data.caffeine].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const late = sorted.map(c => c.mgAfter2pm || 0);
+
+    trends.caffeine = {
+      first14avg: avg(sorted.slice(0, 14).map(c => c.mg)),
+      last14avg: avg(sorted.slice(-14).map(c => c.mg)),
+      lateDaysFirst14: late.slice(0, 14).filter(v => v > 0).length,
+      lateDaysLast14: late.slice(-14).filter(v => v > 0).length,
+      daysTracked: sorted.length
+    };
+  }
+
+  if (data.mindful?.length >= 4) {
+    const sorted = [...data.mindful].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const weeks = chunkByWeek(sorted);
+
+    trends.mindful = {
+      weeklySessions: weeks.map(w => ({ weekStart: w[0].date, sessions: w.length, minutes: w.reduce((t, m) => t + m.minutes, 0) })),
+      frequencySlope: linearSlope(weeks.map(w => w.length)),
+      sessions: sorted.length
+    };
+  }
+
+  if (data.systolicBP?.length >= 4 && data.diastolicBP?.length >= 4) {
+    const systolic = [...data.systolicBP].sort((a, b) => new Date(a.date) - new Date(b.date)).map(b => b.mmHg);
+    const diastolic = [...data.diastolicBP].sort((a, b) => new Date(a.date) - new Date(b.date)).map(b => b.mmHg);
+    const half = (vals, first) => first ? vals.slice(0, Math.ceil(vals.length / 2)) : vals.slice(Math.ceil(vals.length / 2));
+
+    trends.bloodPressure = {
+      firstHalf: `${avg(half(systolic, true)).toFixed(0)}/${avg(half(diastolic, true)).toFixed(0)}`,
+      secondHalf: `${avg(half(systolic, false)).toFixed(0)}/${avg(half(diastolic, false)).toFixed(0)}`,
+      systolicSlope: linearSlope(systolic),
+      readings: systolic.length
+    };
+  }
+
+  if (data.glucose?.length >= 7) {
+    const sorted = [...data.glucose].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const vals = sorted.map(g => g.mgdl);
+
+    trends.glucose = {
+      first7avg: avg(vals.slice(0, 7)),
+      last7avg: avg(vals.slice(-7)),
+      overallSlope: linearSlope(vals),
+      daysTracked: sorted.length
+    };
+  }
+
   return trends;
 }
 
-function buildPrompt(trends, stats, userGoals) {
-  let prompt = `Analyze these longitudinal health trends and predict what happens next. User goals: ${userGoals.length ? userGoals.join(', ') : 'general health optimization'}.
+const RECENT_WEEKS = 8;
 
-## Trend Data:
-`;
+// The prompt as sections for lib/context-budget.js. Week-by-week breakdowns
+// grow with the history, so they're cut down to recent weeks first.
+function buildPrompt(prompt, vars, trends, stats) {
+  const sections = [{
+    id: 'task',
+    required: true,
+    text: `${renderPrompt(prompt, 'task', vars)}\n`
+  }];
 
   if (trends.sleep) {
     const s = trends.sleep;
-    prompt += `
+    sections.push({ id: 'sleep', topics: ['sleep'], priority: 2, text: `
 ### Sleep Trends (${s.daysTracked} days)
 - Duration slope: ${s.overallSlope > 0 ? '+' : ''}${(s.overallSlope * 7).toFixed(2)}h/week
 - Deep sleep slope: ${s.deepSleepSlope > 0 ? '+' : ''}${(s.deepSleepSlope * 7 * 100).toFixed(1)}%/week
@@ -211,95 +356,245 @@ function buildPrompt(trends, stats, userGoals) {
 - First 14d avg: ${s.first14avg.toFixed(2)}h → Last 14d avg: ${s.last14avg.toFixed(2)}h
 - Last 7d: ${s.last7avg.toFixed(2)}h vs prev 7d: ${s.prev7avg.toFixed(2)}h
 ${s.declineStartDate ? `- Decline inflection point detected: ~${s.declineStartDate}` : ''}
-- Weekly breakdown: ${s.weeklyAvgs.map(w => `${w.weekStart}: ${w.avgDuration.toFixed(1)}h (deep: ${(w.avgDeep * 100).toFixed(0)}%, bedtime consistency: ±${(w.consistency * 60).toFixed(0)}min)`).join(' | ')}
-`;
+` });
+    sections.push(weeklySection('sleep', 'Weekly breakdown', s.weeklyAvgs, w => `${w.weekStart}: ${w.avgDuration.toFixed(1)}h (deep: ${(w.avgDeep * 100).toFixed(0)}%, bedtime consistency: ±${(w.consistency * 60).toFixed(0)}min)`));
   }
 
   if (trends.hrv) {
     const h = trends.hrv;
-    prompt += `
+    sections.push({ id: 'hrv', topics: ['hrv'], priority: 2, text: `
 ### HRV Trends (${h.daysTracked} days)
 - Slope: ${h.overallSlope > 0 ? '+' : ''}${(h.overallSlope * 7).toFixed(1)}ms/week
 - First 14d avg: ${h.first14avg.toFixed(0)}ms → Last 14d avg: ${h.last14avg.toFixed(0)}ms
 - Last 7d: ${h.last7avg.toFixed(0)}ms
 - Volatility (14d): ${(h.volatility * 100).toFixed(1)}%
-- Weekly: ${h.weeklyAvgs.map(w => `${w.weekStart}: ${w.avg.toFixed(0)}ms (${w.min}-${w.max})`).join(' | ')}
-`;
+` });
+    sections.push(weeklySection('hrv', 'Weekly', h.weeklyAvgs, w => `${w.weekStart}: ${w.avg.toFixed(0)}ms (${w.min}-${w.max})`));
   }
 
   if (trends.restingHR) {
     const r = trends.restingHR;
-    prompt += `
+    sections.push({ id: 'restingHR', topics: ['restingHR'], priority: 2, text: `
 ### Resting HR Trends (${r.daysTracked} days)
 - Slope: ${r.overallSlope > 0 ? '+' : ''}${(r.overallSlope * 7).toFixed(1)}bpm/week
 - First 14d: ${r.first14avg.toFixed(1)}bpm → Last 14d: ${r.last14avg.toFixed(1)}bpm
 - Last 7d: ${r.last7avg.toFixed(1)}bpm
-`;
+` });
   }
 
   if (trends.workouts) {
     const w = trends.workouts;
-    prompt += `
+    sections.push({ id: 'workouts', topics: ['workouts'], priority: 2, text: `
 ### Workout Trends
 - Frequency slope: ${w.frequencySlope > 0 ? '+' : ''}${w.frequencySlope.toFixed(2)} sessions/week change
-- Weekly: ${w.weeklyFrequency.map(wk => `${wk.weekStart}: ${wk.count} sessions (${wk.types.join(', ')})`).join(' | ')}
-`;
+` });
+    sections.push(weeklySection('workouts', 'Weekly', w.weeklyFrequency, wk => `${wk.weekStart}: ${wk.count} sessions (${wk.types.join(', ')})`));
   }
 
   if (trends.bodyMass) {
     const b = trends.bodyMass;
-    prompt += `
+    sections.push({ id: 'bodyMass', topics: ['bodyMass'], priority: 1, text: `
 ### Body Mass Trends
 - ${b.first.toFixed(1)}kg → ${b.last.toFixed(1)}kg (${b.change > 0 ? '+' : ''}${b.change.toFixed(1)}kg)
 - Slope: ${b.slope > 0 ? '+' : ''}${(b.slope * 7).toFixed(2)}kg/week
-`;
-  }
-
-  prompt += `
-
-## Instructions:
-Produce a JSON response with this structure:
-{
-  "headline": "Most important trend prediction in one sentence",
-  "trends": [
-    {
-      "metric": "What's trending",
-      "direction": "improving|declining|stable|volatile",
-      "magnitude": "Quantified change over the period",
-      "inflection_point": "When did this trend start (date or 'N/A')",
-      "projection": "If this continues for 2 more weeks, what happens",
-      "risk_level": "high|medium|low",
-      "recommendation": "Specific action to take"
-    }
-  ],
-  "predictions": [
-    {
-      "timeframe": "2 weeks|1 month",
-      "prediction": "What will likely happen",
-      "confidence": "high|medium|low",
-      "based_on": "Which data supports this"
-    }
-  ],
-  "bright_spots": ["Things that are going well"],
-  "weekly_focus": "The single thing to focus on this week"
+` });
+  }
+
+  if (trends.vo2Max) {
+    const v = trends.vo2Max;
+    sections.push({ id: 'vo2Max', topics: ['vo2Max'], priority: 1, text: `
+### VO2 Max Trends (${v.readings} readings)
+- ${v.firstDate}: ${v.first.toFixed(1)} → ${v.lastDate}: ${v.last.toFixed(1)} mL/kg/min (${v.change > 0 ? '+' : ''}${v.change.toFixed(1)})
+` });
+  }
+
+  if (trends.wristTemp) {
+    const t = trends.wristTemp;
+    sections.push({ id: 'wristTemp', topics: ['wristTemp'], priority: 1, text: `
+### Sleeping Wrist Temperature (${t.daysTracked} nights)
+- Baseline: ${t.baseline.toFixed(2)}°C, last 7 nights: ${t.last7avg.toFixed(2)}°C (${t.last7avg - t.baseline > 0 ? '+' : ''}${(t.last7avg - t.baseline).toFixed(2)}°C)
+- Slope: ${t.overallSlope > 0 ? '+' : ''}${(t.overallSlope * 7).toFixed(3)}°C/week
+` });
+  }
+
+  if (trends.caffeine) {
+    const c = trends.caffeine;
+    sections.push({ id: 'caffeine', topics: ['caffeine'], priority: 1, text: `
+### Caffeine Trends (${c.daysTracked} days)
+- First 14d avg: ${c.first14avg.toFixed(0)}mg/day → Last 14d avg: ${c.last14avg.toFixed(0)}mg/day
+- Days with caffeine after 2pm: ${c.lateDaysFirst14} of first 14 → ${c.lateDaysLast14} of last 14
+` });
+  }
+
+  if (trends.mindful) {
+    const m = trends.mindful;
+    sections.push({ id: 'mindful', topics: ['mindful'], priority: 1, text: `
+### Mindfulness Trends (${m.sessions} sessions)
+- Frequency slope: ${m.frequencySlope > 0 ? '+' : ''}${m.frequencySlope.toFixed(2)} sessions/week change
+` });
+    sections.push(weeklySection('mindful', 'Weekly', m.weeklySessions, w => `${w.weekStart}: ${w.sessions} sessions (${Math.round(w.minutes)} min)`));
+  }
+
+  if (trends.bloodPressure) {
+    const b = trends.bloodPressure;
+    sections.push({ id: 'bloodPressure', topics: ['bloodPressure'], priority: 1, text: `
+### Blood Pressure Trends (${b.readings} days)
+- Earlier readings avg: ${b.firstHalf} mmHg → recent avg: ${b.secondHalf} mmHg
+- Systolic slope: ${b.systolicSlope > 0 ? '+' : ''}${(b.systolicSlope * 7).toFixed(1)} mmHg per 7 readings
+` });
+  }
+
+  if (trends.glucose) {
+    const g = trends.glucose;
+    sections.push({ id: 'glucose', topics: ['glucose'], priority: 1, text: `
+### Blood Glucose Trends (${g.daysTracked} days)
+- First 7d avg: ${g.first7avg.toFixed(0)} mg/dL → Last 7d avg: ${g.last7avg.toFixed(0)} mg/dL
+` });
+  }
+
+  sections.push({ id: 'sources', priority: 0, text: `
+### Data Sources (records per device, after de-duplicating overlaps)
+${formatSources(stats.sources)}
+` });
+
+  sections.push({ id: 'instructions', required: true, text: `\n\n${renderPrompt(prompt, 'instructions', vars)}` });
+
+  return sections;
 }
 
-Generate 3-5 trends and 2-3 predictions. Be specific with projections — use numbers, not vague statements.`;
+// What to do about each metric, by direction, when there's no model to write it
+const TREND_ADVICE = {
+  sleep: {
+    declining: 'Set a fixed bedtime and protect it for the next two weeks.',
+    improving: 'Whatever changed recently is working; keep the same routine.',
+    stable: 'Hold your current sleep schedule.'
+  },
+  hrv: {
+    declining: 'Schedule more easy days and look for the stressor behind the drop.',
+    improving: 'Recovery is trending up; you can build training load gradually.',
+    stable: 'Keep your current balance of training and rest.',
+    volatile: 'Aim for steadier days: consistent sleep, training and alcohol habits smooth out HRV.'
+  },
+  restingHR: {
+    declining: 'A rising resting heart rate often means accumulated fatigue; take a lighter week.',
+    improving: 'Your heart is getting more efficient; keep your current training.',
+    stable: 'Keep doing what you are doing.'
+  },
+  workouts: {
+    declining: 'Book your next sessions in your calendar like meetings.',
+    improving: 'Add rest days as the frequency rises, so recovery keeps up.',
+    stable: 'Keep your current rhythm.'
+  },
+  vo2Max: {
+    declining: 'Add one session of intervals a week to rebuild aerobic fitness.',
+    improving: 'Your aerobic fitness is climbing; keep the mix of easy and hard sessions.',
+    stable: 'Add intervals once a week if you want to push fitness up.'
+  }
+};
+
+const RISK_ORDER = ['high', 'medium', 'low'];
+
+// The reply's structure, filled from the computed trends: slopes become
+// directions, and each trend's numbers are quoted as its magnitude
+function templateReply(trends) {
+  const items = [];
+  const add = (key, metric, direction, magnitude, risk, inflection = 'N/A') => items.push({
+    metric,
+    direction,
+    magnitude,
+    inflection_point: inflection,
+    projection: direction === 'declining'
+      ? 'If this continues for 2 more weeks, the drop will start to show in energy and recovery.'
+      : direction === 'improving'
+        ? 'If this continues for 2 more weeks, the gains will consolidate into a new baseline.'
+        : 'Expect little change over the next 2 weeks.',
+    risk_level: risk,
+    recommendation: TREND_ADVICE[key][direction] || TREND_ADVICE[key].stable
+  });
 
-  return prompt;
+  if (trends.sleep) {
+    const s = trends.sleep;
+    const perWeek = s.overallSlope * 7;
+    const direction = perWeek < -0.05 ? 'declining' : perWeek > 0.05 ? 'improving' : 'stable';
+    add('sleep', 'Sleep duration', direction,
+      `${s.first14avg.toFixed(2)}h → ${s.last14avg.toFixed(2)}h a night over ${s.daysTracked} days (${signed(perWeek, 2)}h/week)`,
+      direction === 'declining' ? (s.last7avg < 6.5 ? 'high' : 'medium') : 'low',
+      direction === 'declining' && s.declineStartDate ? s.declineStartDate : 'N/A');
+  }
+  if (trends.hrv) {
+    const h = trends.hrv;
+    const perWeek = h.overallSlope * 7;
+    const direction = h.volatility > 0.2 ? 'volatile' : perWeek < -0.5 ? 'declining' : perWeek > 0.5 ? 'improving' : 'stable';
+    add('hrv', 'HRV', direction,
+      `${h.first14avg.toFixed(0)}ms → ${h.last14avg.toFixed(0)}ms over ${h.daysTracked} days (${signed(perWeek, 1)}ms/week)`,
+      direction === 'declining' ? 'high' : direction === 'volatile' ? 'medium' : 'low');
+  }
+  if (trends.restingHR) {
+    const r = trends.restingHR;
+    const perWeek = r.overallSlope * 7;
+    // A rising resting heart rate is the bad direction
+    const direction = perWeek > 0.3 ? 'declining' : perWeek < -0.3 ? 'improving' : 'stable';
+    add('restingHR', 'Resting heart rate', direction,
+      `${r.first14avg.toFixed(1)}bpm → ${r.last14avg.toFixed(1)}bpm over ${r.daysTracked} days (${signed(perWeek, 1)}bpm/week)`,
+      direction === 'declining' ? 'medium' : 'low');
+  }
+  if (trends.workouts) {
+    const w = trends.workouts;
+    const direction = w.frequencySlope < -0.2 ? 'declining' : w.frequencySlope > 0.2 ? 'improving' : 'stable';
+    add('workouts', 'Workout frequency', direction,
+      `${w.weeklyFrequency.slice(-4).map(wk => wk.count).join(', ')} sessions in the last 4 weeks (${signed(w.frequencySlope, 2)} sessions/week change)`,
+      direction === 'declining' ? 'medium' : 'low');
+  }
+  if (trends.vo2Max) {
+    const v = trends.vo2Max;
+    const direction = v.change < -0.5 ? 'declining' : v.change > 0.5 ? 'improving' : 'stable';
+    add('vo2Max', 'VO2 max', direction,
+      `${v.first.toFixed(1)} → ${v.last.toFixed(1)} mL/kg/min between ${v.firstDate} and ${v.lastDate}`,
+      direction === 'declining' ? 'medium' : 'low');
+  }
+
+  const ranked = [...items].sort((a, b) => RISK_ORDER.indexOf(a.risk_level) - RISK_ORDER.indexOf(b.risk_level));
+  const changing = ranked.filter(t => t.direction === 'declining' || t.direction === 'improving');
+  const top = changing[0] || ranked[0];
+
+  return {
+    headline: top
+      ? `${top.metric} is ${top.direction === 'stable' ? 'holding steady' : top.direction}: ${top.magnitude}`
+      : 'Not enough history yet to detect trends',
+    trends: ranked.slice(0, 5),
+    predictions: changing.slice(0, 3).map(t => ({
+      timeframe: '2 weeks',
+      prediction: `${t.metric} keeps ${t.direction === 'declining' ? 'sliding' : 'improving'} if nothing changes`,
+      confidence: 'low',
+      based_on: t.magnitude
+    })),
+    bright_spots: ranked.filter(t => t.direction === 'improving').map(t => `${t.metric}: ${t.magnitude}`),
+    weekly_focus: ranked.find(t => t.direction === 'declining')?.recommendation
+      || 'Nothing is sliding; keep your current routine steady this week.'
+  };
 }
 
 // Helpers
+
+// A week-by-week line as its own section; over budget, only the last 8 weeks are kept
+function weeklySection(topic, label, weeks, format) {
+  const recent = weeks.slice(-RECENT_WEEKS);
+  return {
+    id: `${topic}:weekly`,
+    topics: [topic],
+    priority: 1,
+    text: `- ${label}: ${weeks.map(format).join(' | ')}\n`,
+    ...(weeks.length > RECENT_WEEKS && { summary: `- ${label} (last ${RECENT_WEEKS} of ${weeks.length} weeks): ${recent.map(format).join(' | ')}\n` })
+  };
+}
+
 function chunkByWeek(sorted) {
   const weeks = [];
   let current = [];
   let currentWeekStart = null;
 
   for (const item of sorted) {
-    const d = new Date(item.date || item.start);
-    const weekStart = new Date(d);
-    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-    const weekKey = weekStart.toISOString().split('T')[0];
+    const weekKey = addDays(item.date, -dayOfWeek(item.date));
 
     if (weekKey !== currentWeekStart && current.length) {
       weeks.push(current);
@@ -332,7 +627,8 @@ function linearSlope(arr) {
 }
 
 function avg(arr) {
-  return arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+  const vals = arr.filter(Number.isFinite);
+  return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : 0;
 }
 
 function stdDev(arr) {
@@ -341,4 +637,11 @@ function stdDev(arr) {
   return Math.sqrt(arr.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / arr.length);
 }
 
-export { AGENT_META };
+// "- steps: Apple Watch (84), iPhone (6)" per metric, so the model can name the device
+function formatSources(sources = {}) {
+  return Object.entries(sources)
+    .map(([metric, list]) => `- ${metric}: ${list.map(s => `${s.source} (${s.records})`).join(', ')}`)
+    .join('\n');
+}
+
+export { AGENT_META, OUTPUT_SCHEMA };
@@ -4,11 +4,18 @@
  * Replaces 4 app dashboards with one Monday morning summary.
  * Synthesizes all health data relative to YOUR goals.
  *
- * Runs 100% locally via Ollama. Data never leaves your machine.
+ * Runs 100% locally via Ollama, llama.cpp or an OpenAI-compatible server. Data never leaves your machine.
  */
 
-import { chat } from '../lib/ollama.js';
+import { chat } from '../lib/llm.js';
+import { resolveLLMConfig } from '../lib/config.js';
+import { completeWithSchema } from '../lib/schema.js';
+import { budgetPrompt } from '../lib/context-budget.js';
+import { loadPrompt, renderPrompt } from '../lib/prompts.js';
+import { checkGrounding } from '../lib/grounding.js';
+import { scoreStats, signed } from '../lib/templates.js';
 import { computeStats, crossCorrelate } from '../lib/health-parser.js';
+import { resolveTimeZone, localDate, addDays, dayOfWeek, formatDay } from '../lib/time.js';
 
 const AGENT_META = {
   id: 'proofi-weekly-brief',
@@ -17,67 +24,138 @@ const AGENT_META = {
   description: 'Your Monday morning health summary — all your data, one brief, your goals',
   icon: '📋',
   requiredData: ['sleep'],
-  optionalData: ['hrv', 'restingHR', 'heartRate', 'workouts', 'spo2', 'steps', 'activeEnergy', 'bodyMass'],
+  optionalData: ['hrv', 'restingHR', 'heartRate', 'workouts', 'spo2', 'steps', 'activeEnergy', 'bodyMass', 'caffeine', 'water', 'mindful', 'vo2Max', 'wristTemp', 'systolicBP', 'diastolicBP', 'glucose'],
   accessDuration: 'recurring-weekly',
-  processing: 'local'
+  processing: 'local',
+  // Registry entries (lib/agent-registry.js): API route, --agent names, CLI summary lines
+  route: 'brief',
+  aliases: ['3'],
+  shortName: 'Weekly Brief',
+  runningMessage: 'Generating your weekly summary...',
+  summary: [{ icon: '💡', path: 'brief.greeting' }]
 };
 
-const SYSTEM_PROMPT = `You are the Proofi Weekly Brief generator. You create a concise, actionable Monday morning health summary.
-
-TONE: Like a great personal trainer who's also a data scientist. Warm but direct. Celebrates wins, flags concerns, always actionable.
-
-RULES:
-- Open with the single most important takeaway
-- Use specific numbers everywhere — never "your sleep improved", always "you slept 7.4h avg, up 23min from last week"
-- Connect every observation to the user's stated goals
-- End with exactly ONE focus for the coming week
-- Keep it scannable — the user should get the gist in 30 seconds
-- Format as JSON with the exact structure requested
-- Max 5 bullet points per section. Brevity is king.
-
-You are running 100% locally. This brief was generated without sending a single byte of health data over the internet.`;
+// The JSON structure the prompt asks for (see prompts/weekly-brief.md)
+const OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['greeting', 'top_insight', 'wins', 'watch_out', 'goal_progress', 'scores', 'focus_this_week'],
+  properties: {
+    greeting: { type: 'string' },
+    top_insight: {
+      type: 'object',
+      required: ['title', 'detail'],
+      properties: {
+        title: { type: 'string' },
+        detail: { type: 'string' },
+        emoji: { type: 'string' }
+      }
+    },
+    wins: { type: 'array', items: { type: 'string' } },
+    watch_out: { type: 'array', items: { type: 'string' } },
+    goal_progress: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['goal', 'status'],
+        properties: {
+          goal: { type: 'string' },
+          status: { type: 'string', enum: ['on_track', 'needs_attention', 'improving'] },
+          detail: { type: 'string' }
+        }
+      }
+    },
+    scores: {
+      type: 'object',
+      required: ['sleep_score', 'recovery_score', 'activity_score', 'weekly_score'],
+      properties: {
+        sleep_score: { type: 'number', minimum: 0, maximum: 100 },
+        recovery_score: { type: 'number', minimum: 0, maximum: 100 },
+        activity_score: { type: 'number', minimum: 0, maximum: 100 },
+        weekly_score: { type: 'number', minimum: 0, maximum: 100 }
+      }
+    },
+    focus_this_week: {
+      type: 'object',
+      required: ['what'],
+      properties: {
+        what: { type: 'string' },
+        why: { type: 'string' },
+        how: { type: 'string' }
+      }
+    },
+    shareable_summary: { type: 'string' }
+  }
+};
 
-export async function run(healthData, userGoals = ['general health optimization']) {
+/**
+ * With `template`, the brief is built from the week's numbers alone (see
+ * lib/templates.js) and no model is called.
+ * onProgress, if given, receives { phase } events as the run goes:
+ * stats, correlations ({ count }), then template, or generating ({ model }), token ({ text }),
+ * repair ({ attempt, errors }) when the reply doesn't fit OUTPUT_SCHEMA, parsed ({ ok }).
+ * queued ({ position }) and retry ({ attempt, delayMs, error }) can come while
+ * generating. Aborting `signal` cancels the model call and rejects the run.
+ * The result's `context` lists the prompt sections trimmed to fit llm.numCtx.
+ * `prompt` records which template wrote the reply: { version, hash, source } (see lib/prompts.js).
+ */
+export async function run(healthData, userGoals = ['general health optimization'], { timeZone, llm = resolveLLMConfig(), template = false, signal, onProgress } = {}) {
   const startTime = Date.now();
+  // Weeks are the user's local calendar days, not UTC ones
+  const today = localDate(resolveTimeZone(timeZone));
 
   // Get this week's and last week's data
-  const thisWeek = sliceLastNDays(healthData, 7);
-  const lastWeek = sliceLastNDays(healthData, 14, 7);
+  const thisWeek = sliceLastNDays(healthData, today, 7);
+  const lastWeek = sliceLastNDays(healthData, today, 14, 7);
   const thisWeekStats = computeStats(thisWeek);
   const lastWeekStats = computeStats(lastWeek);
+  onProgress?.({ phase: 'stats', dataTypes: Object.keys(thisWeekStats).length });
   const correlations = crossCorrelate(healthData);
+  onProgress?.({ phase: 'correlations', count: correlations.length });
 
-  const prompt = buildBriefPrompt(thisWeek, thisWeekStats, lastWeekStats, correlations, userGoals);
-
-  const response = await chat([
-    { role: 'system', content: SYSTEM_PROMPT },
-    { role: 'user', content: prompt }
-  ], { temperature: 0.4, json: true });
-
-  let brief;
-  try {
-    // Try parsing the full response first (common when LLM returns clean JSON)
-    brief = JSON.parse(response.trim());
-  } catch {
-    try {
-      // Extract JSON block from markdown code fences or surrounding text
-      const cleaned = response.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-      const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-      brief = jsonMatch ? JSON.parse(jsonMatch[0]) : { raw: response };
-    } catch {
-      brief = { raw: response };
-    }
+  let reply, context, prompt;
+  if (template) {
+    onProgress?.({ phase: 'template' });
+    reply = { value: templateReply(thisWeekStats, lastWeekStats, correlations, userGoals), model: null, usage: null, attempts: 0 };
+  } else {
+    // prompts/weekly-brief.md, or its override; variables: goals, weekLabel, thisWeek and lastWeek (computeStats of each)
+    prompt = loadPrompt('weekly-brief');
+    const vars = { goals: userGoals, weekLabel: getWeekLabel(today), thisWeek: thisWeekStats, lastWeek: lastWeekStats };
+    const system = renderPrompt(prompt, 'system', vars);
+    const sections = buildBriefPrompt(prompt, vars, thisWeek, thisWeekStats, lastWeekStats, correlations);
+    const budgeted = budgetPrompt(sections, { llm, system, goals: userGoals });
+    context = budgeted.context;
+
+    onProgress?.({ phase: 'generating', model: llm.model });
+    const send = (messages) => chat(messages, {
+      temperature: 0.4, ...llm, numPredict: budgeted.numPredict, json: true, signal,
+      onToken: onProgress && (text => onProgress({ phase: 'token', text })),
+      onQueued: onProgress && (position => onProgress({ phase: 'queued', position })),
+      onRetry: onProgress && (e => onProgress({ phase: 'retry', ...e }))
+    });
+    reply = await completeWithSchema(send, [
+      { role: 'system', content: system },
+      { role: 'user', content: budgeted.prompt }
+    ], OUTPUT_SCHEMA, { onRepair: onProgress && (e => onProgress({ phase: 'repair', ...e })) });
+    onProgress?.({ phase: 'parsed', ok: !reply.error });
   }
+  const brief = reply.value;
 
   return {
     agent: AGENT_META,
     timestamp: new Date().toISOString(),
-    weekOf: getWeekLabel(),
+    weekOf: getWeekLabel(today),
     processingTime: Date.now() - startTime,
     processingLocation: 'local',
-    model: 'llama3.2',
+    renderer: template ? 'template' : 'llm',
+    model: reply.model,
+    usage: reply.usage,
+    attempts: reply.attempts,
+    ...(prompt && { prompt: { version: prompt.version, hash: prompt.hash, source: prompt.source } }),
+    ...(context && { context }),
     dataSourcesUsed: Object.keys(thisWeekStats),
     brief,
+    ...(brief && { grounding: checkGrounding(brief, { thisWeek: thisWeekStats, lastWeek: lastWeekStats, correlations }) }),
+    ...(reply.error && { outputError: reply.error }),
     sovereignty: {
       dataLocation: 'local',
       modelLocation: 'local',
@@ -87,142 +165,258 @@ export async function run(healthData, userGoals = ['general health optimization'
   };
 }
 
-function buildBriefPrompt(thisWeek, thisStats, lastStats, correlations, goals) {
-  let prompt = `Generate the weekly health brief for ${getWeekLabel()}.
-
-User goals: ${goals.join(', ')}
-
-## This Week vs Last Week:
-`;
+// The prompt as sections for lib/context-budget.js; a week of data rarely needs
+// trimming, but a small window still loses the minor metrics before the core ones
+function buildBriefPrompt(prompt, vars, thisWeek, thisStats, lastStats, correlations) {
+  const sections = [{
+    id: 'task',
+    required: true,
+    text: `${renderPrompt(prompt, 'task', vars)}\n`
+  }];
 
   if (thisStats.sleep && lastStats.sleep) {
     const durChange = thisStats.sleep.avgDuration - lastStats.sleep.avgDuration;
     const deepChange = thisStats.sleep.avgDeepPct - lastStats.sleep.avgDeepPct;
-    prompt += `
+    sections.push({ id: 'sleep', topics: ['sleep'], priority: 2, text: `
 ### Sleep
 - This week: ${thisStats.sleep.avgDuration.toFixed(1)}h avg (${durChange >= 0 ? '+' : ''}${(durChange * 60).toFixed(0)}min vs last week)
 - Deep sleep: ${(thisStats.sleep.avgDeepPct * 100).toFixed(0)}% (${deepChange >= 0 ? '+' : ''}${(deepChange * 100).toFixed(1)}% vs last week)
 - Avg bedtime: ${formatHour(thisStats.sleep.avgBedtime)} (last week: ${formatHour(lastStats.sleep.avgBedtime)})
 - Consistency (stddev): ${(thisStats.sleep.stdDevDuration * 60).toFixed(0)}min (last week: ${(lastStats.sleep.stdDevDuration * 60).toFixed(0)}min)
 - Night by night: ${thisWeek.sleep.map(s => `${s.date?.split('-').slice(1).join('/')}: ${s.durationHours.toFixed(1)}h`).join(', ')}
-`;
+` });
   }
 
   if (thisStats.hrv && lastStats.hrv) {
-    prompt += `
+    sections.push({ id: 'hrv', topics: ['hrv'], priority: 2, text: `
 ### HRV
 - This week avg: ${thisStats.hrv.avg.toFixed(0)}ms (last week: ${lastStats.hrv.avg.toFixed(0)}ms, ${thisStats.hrv.weekOverWeekChange?.toFixed(1) || 'N/A'}% change)
 - Range: ${thisStats.hrv.min}-${thisStats.hrv.max}ms
-`;
+` });
   }
 
   if (thisStats.restingHR && lastStats.restingHR) {
     const rhrChange = thisStats.restingHR.avg - lastStats.restingHR.avg;
-    prompt += `
+    sections.push({ id: 'restingHR', topics: ['restingHR'], priority: 2, text: `
 ### Resting Heart Rate
 - This week: ${thisStats.restingHR.avg.toFixed(1)}bpm (${rhrChange >= 0 ? '+' : ''}${rhrChange.toFixed(1)} vs last week)
-`;
+` });
   }
 
   if (thisStats.workouts && lastStats.workouts) {
-    prompt += `
+    sections.push({ id: 'workouts', topics: ['workouts'], priority: 2, text: `
 ### Workouts
 - This week: ${thisStats.workouts.count} sessions (last week: ${lastStats.workouts.count})
 - Types: ${Object.entries(thisStats.workouts.byType).map(([k, v]) => `${k}: ${v}`).join(', ')}
 - Late intense workouts: ${thisStats.workouts.lateIntenseCount}
 - Avg calories: ${thisStats.workouts.avgCalories.toFixed(0)} kcal/session
-`;
+` });
   }
 
   if (thisStats.spo2) {
-    prompt += `
+    sections.push({ id: 'spo2', topics: ['spo2'], priority: 1, text: `
 ### Blood Oxygen
 - Avg: ${thisStats.spo2.avg.toFixed(1)}% | Min: ${thisStats.spo2.min.toFixed(1)}% | Dips <96%: ${thisStats.spo2.dipsBelow96}
-`;
+` });
   }
 
   if (thisStats.steps) {
-    prompt += `
+    sections.push({ id: 'steps', topics: ['steps'], priority: 2, text: `
 ### Activity
 - Daily steps avg: ${thisStats.steps.avg.toLocaleString()}
 - Days 10K+: ${thisStats.steps.daysAbove10k} | Days <5K: ${thisStats.steps.daysBelow5k}
-`;
+` });
+  }
+
+  if (thisStats.caffeine) {
+    sections.push({ id: 'caffeine', topics: ['caffeine', 'water'], priority: 1, text: `
+### Caffeine & Water
+- Caffeine: ${thisStats.caffeine.avgDaily}mg/day${lastStats.caffeine ? ` (last week: ${lastStats.caffeine.avgDaily}mg)` : ''}, after 2pm on ${thisStats.caffeine.daysWithLateCaffeine} days
+${thisStats.water ? `- Water: ${thisStats.water.avgDaily}ml/day, ${thisStats.water.daysBelow1500} days under 1.5L` : ''}
+` });
+  }
+
+  if (thisStats.mindful) {
+    sections.push({ id: 'mindful', topics: ['mindful'], priority: 1, text: `
+### Mindfulness
+- Sessions on ${thisStats.mindful.daysWithSession} days (last week: ${lastStats.mindful?.daysWithSession || 0}), ~${thisStats.mindful.avgMinutes.toFixed(0)} min each
+` });
+  }
+
+  if (thisStats.wristTemp || thisStats.vo2Max) {
+    sections.push({ id: 'recovery', topics: ['wristTemp', 'vo2Max'], priority: 1, text: `
+### Recovery Signals
+${thisStats.wristTemp ? `- Wrist temp: ${thisStats.wristTemp.last7avg}°C avg, ${thisStats.wristTemp.nightsAboveBaseline} nights ≥0.5°C above this week's baseline` : ''}
+${thisStats.vo2Max ? `- VO2 max: ${thisStats.vo2Max.latest} mL/kg/min` : ''}
+` });
+  }
+
+  if (thisStats.bloodPressure || thisStats.glucose) {
+    sections.push({ id: 'vitals', topics: ['bloodPressure', 'glucose'], priority: 1, text: `
+### Vitals Logged
+${thisStats.bloodPressure ? `- Blood pressure: ${thisStats.bloodPressure.avgSystolic}/${thisStats.bloodPressure.avgDiastolic} mmHg avg, ${thisStats.bloodPressure.elevatedDays} days at or above 130/80` : ''}
+${thisStats.glucose ? `- Glucose: ${thisStats.glucose.avg} mg/dL avg (${thisStats.glucose.min}-${thisStats.glucose.max})` : ''}
+` });
   }
 
   if (correlations.length) {
-    prompt += `
-### Cross-Source Patterns Detected:
-${correlations.slice(0, 3).map(c => `- [${c.severity}] ${c.finding}`).join('\n')}
-`;
-  }
-
-  prompt += `
-
-## Instructions:
-Generate a weekly health brief as JSON:
-{
-  "greeting": "Personalized one-liner setting the tone (e.g., 'Solid week — your sleep is trending up and it shows')",
-  "top_insight": {
-    "title": "The #1 thing to know",
-    "detail": "Specific, data-backed explanation",
-    "emoji": "single relevant emoji"
-  },
-  "wins": [
-    "Things that improved or went well this week (max 3, specific numbers)"
-  ],
-  "watch_out": [
-    "Things that need attention (max 2, with why it matters)"
-  ],
-  "goal_progress": [
-    {
-      "goal": "User goal",
-      "status": "on_track|needs_attention|improving",
-      "detail": "Progress update with numbers"
+    sections.push({ id: 'patterns', required: true, text: '\n### Cross-Source Patterns Detected:\n' });
+    for (const c of correlations.slice(0, 3)) {
+      sections.push({ id: `correlation:${c.id}`, topics: c.sources, priority: 1, text: `- [${c.severity}] ${c.finding}\n` });
     }
-  ],
-  "scores": {
-    "sleep_score": 0-100,
-    "recovery_score": 0-100,
-    "activity_score": 0-100,
-    "weekly_score": 0-100
+  }
+
+  sections.push({ id: 'sources', priority: 0, text: `
+### Data Sources (records per device, after de-duplicating overlaps)
+${formatSources(thisStats.sources)}
+` });
+
+  sections.push({ id: 'instructions', required: true, text: `\n\n${renderPrompt(prompt, 'instructions', vars)}` });
+
+  return sections;
+}
+
+// The focus to suggest for each kind of concern, when there's no model to write it
+const FOCUS = {
+  sleep: {
+    what: 'Get to seven hours of sleep',
+    why: 'Short sleep drags down recovery, energy and appetite control at once.',
+    how: 'Set a wind-down alarm an hour before bed and keep the same bedtime every night.'
+  },
+  lateWorkouts: {
+    what: 'Finish hard workouts earlier',
+    why: 'Intense training late in the evening delays sleep and blunts overnight recovery.',
+    how: 'Move intense sessions to the morning or afternoon; keep evenings for easy movement.'
   },
-  "focus_this_week": {
-    "what": "Single specific thing to focus on",
-    "why": "Why this matters most right now",
-    "how": "Concrete steps to do it"
+  hrv: {
+    what: 'Give your body an easier week',
+    why: 'Falling HRV is an early sign your recovery isn\'t keeping up with your load.',
+    how: 'Swap one hard session for a walk, and put the extra time into sleep.'
   },
-  "shareable_summary": "A 2-sentence summary suitable for sharing (no private data, just the vibe)"
+  caffeine: {
+    what: 'Move your last coffee earlier',
+    why: 'Afternoon caffeine is still active at bedtime and cuts into deep sleep.',
+    how: 'Switch to decaf after lunch.'
+  },
+  steps: {
+    what: 'Move a little more every day',
+    why: 'Daily movement supports energy, sleep quality and long-term health.',
+    how: 'Add a short walk after lunch or dinner.'
+  },
+  steady: {
+    what: 'Keep your routine steady',
+    why: 'Nothing in your data needs fixing this week; consistency is what keeps it that way.',
+    how: 'Keep your usual bedtime, training days and habits.'
+  }
+};
+
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+// The brief's structure, filled from this week's stats compared with last week's
+function templateReply(thisStats, lastStats, correlations, goals) {
+  const wins = [];
+  const concerns = [];
+  const sleep = thisStats.sleep;
+
+  if (sleep) {
+    if (sleep.avgDuration < 7) {
+      concerns.push(['sleep', `Sleep averaged ${sleep.avgDuration.toFixed(1)}h a night — under the seven hours most adults need`]);
+    }
+    if (lastStats.sleep && sleep.avgDuration > lastStats.sleep.avgDuration) {
+      wins.push(`Slept ${sleep.avgDuration.toFixed(1)}h a night on average, up ${((sleep.avgDuration - lastStats.sleep.avgDuration) * 60).toFixed(0)}min from last week`);
+    }
+  }
+  if (thisStats.hrv && lastStats.hrv) {
+    const change = (thisStats.hrv.avg - lastStats.hrv.avg) / lastStats.hrv.avg * 100;
+    if (change >= 0) wins.push(`HRV averaged ${thisStats.hrv.avg.toFixed(0)}ms, ${signed(change, 1)}% vs last week`);
+    else if (change < -5) concerns.push(['hrv', `HRV fell to ${thisStats.hrv.avg.toFixed(0)}ms from ${lastStats.hrv.avg.toFixed(0)}ms last week — a sign recovery is lagging`]);
+  }
+  if (thisStats.restingHR && lastStats.restingHR && thisStats.restingHR.avg < lastStats.restingHR.avg) {
+    wins.push(`Resting heart rate down to ${thisStats.restingHR.avg.toFixed(1)}bpm from ${lastStats.restingHR.avg.toFixed(1)}bpm`);
+  }
+  const late = thisStats.workouts?.lateIntenseCount;
+  if (late) {
+    concerns.push(['lateWorkouts', `${late} intense workout${late === 1 ? '' : 's'} late in the evening — they tend to cost the next night's recovery`]);
+  }
+  if (thisStats.caffeine?.daysWithLateCaffeine >= 3) {
+    concerns.push(['caffeine', `Afternoon caffeine on ${thisStats.caffeine.daysWithLateCaffeine} days, which cuts into deep sleep`]);
+  }
+  if (thisStats.steps) {
+    if (thisStats.steps.daysAbove10k) wins.push(`${thisStats.steps.daysAbove10k} days above 10K steps`);
+    if (thisStats.steps.avg < 5000) concerns.push(['steps', `Steps averaged ${thisStats.steps.avg.toLocaleString('en-US')} a day, below 5K`]);
+  }
+
+  const scores = scoreStats(thisStats, lastStats);
+  const weekly = scores.overall ?? 0;
+  const pattern = [...correlations].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))[0];
+  const greeting = weekly >= 70 ? 'Solid week — the numbers back it up.'
+    : weekly >= 50 ? 'Mixed week — some wins, and a few things to tighten up.'
+      : 'Tough week — time to reset.';
+
+  return {
+    greeting,
+    top_insight: pattern
+      ? { title: 'A pattern across your data', detail: pattern.finding, emoji: '🔗' }
+      : concerns.length
+        ? { title: 'What needs attention', detail: concerns[0][1], emoji: '⚠️' }
+        : { title: 'Your best result this week', detail: wins[0] || 'Not enough data this week for a comparison.', emoji: '✅' },
+    wins: wins.slice(0, 3),
+    watch_out: concerns.slice(0, 2).map(([, text]) => text),
+    goal_progress: goals.map(goal => goalProgress(goal, thisStats, lastStats, scores)),
+    scores: {
+      sleep_score: scores.sleep,
+      recovery_score: scores.recovery,
+      activity_score: scores.activity,
+      weekly_score: scores.overall
+    },
+    focus_this_week: FOCUS[concerns[0]?.[0] || 'steady'],
+    shareable_summary: `${greeting} Tracked privately with Proofi, on my own device.`
+  };
 }
 
-Make it feel like a personal trainer who actually looked at your data — not a generic dashboard.`;
+// Match a free-text goal to the metric it's most likely about
+function goalProgress(goal, thisStats, lastStats, scores) {
+  const compare = (label, now, before, unit, digits, higherIsBetter = true) => {
+    if (now === undefined) return { goal, status: 'needs_attention', detail: `No ${label} data this week` };
+    const better = before !== undefined && (higherIsBetter ? now > before : now < before);
+    return {
+      goal,
+      status: better ? 'improving' : 'on_track',
+      detail: `${label}: ${now.toFixed(digits)}${unit}${before !== undefined ? ` (last week: ${before.toFixed(digits)}${unit})` : ''}`
+    };
+  };
 
-  return prompt;
+  if (/sleep|rest|tired/i.test(goal)) {
+    const result = compare('Sleep', thisStats.sleep?.avgDuration, lastStats.sleep?.avgDuration, 'h', 1);
+    if (thisStats.sleep?.avgDuration < 7) result.status = 'needs_attention';
+    return result;
+  }
+  if (/energy|recover|stress|hrv/i.test(goal)) return compare('HRV', thisStats.hrv?.avg, lastStats.hrv?.avg, 'ms', 0);
+  if (/heart|cardio/i.test(goal)) return compare('Resting HR', thisStats.restingHR?.avg, lastStats.restingHR?.avg, 'bpm', 1, false);
+  if (/step|walk|move|active|activity|fit/i.test(goal)) return compare('Steps', thisStats.steps?.avg, lastStats.steps?.avg, ' a day', 0);
+  return {
+    goal,
+    status: (scores.overall ?? 0) >= 60 ? 'on_track' : 'needs_attention',
+    detail: 'Tracked through your overall weekly score'
+  };
 }
 
-function sliceLastNDays(data, n, offset = 0) {
+// Records are keyed by local YYYY-MM-DD, so the window is compared as dates
+function sliceLastNDays(data, today, n, offset = 0) {
   const sliced = {};
-  const now = new Date();
-  const start = new Date(now);
-  start.setDate(start.getDate() - n - offset);
-  const end = new Date(now);
-  end.setDate(end.getDate() - offset);
+  const after = addDays(today, -n - offset);
+  const through = addDays(today, -offset);
 
   for (const [key, records] of Object.entries(data)) {
-    sliced[key] = records.filter(r => {
-      const d = new Date(r.date || r.start);
-      return d >= start && d < end;
-    });
+    sliced[key] = records.filter(r => r.date > after && r.date <= through);
   }
   return sliced;
 }
 
-function getWeekLabel() {
-  const now = new Date();
-  const weekStart = new Date(now);
-  weekStart.setDate(weekStart.getDate() - weekStart.getDay() + 1);
-  const weekEnd = new Date(weekStart);
-  weekEnd.setDate(weekEnd.getDate() + 6);
-  return `${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} — ${weekEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+function getWeekLabel(today) {
+  const weekStart = addDays(today, -dayOfWeek(today) + 1);
+  const weekEnd = addDays(weekStart, 6);
+  return `${formatDay(weekStart, { month: 'short', day: 'numeric' })} — ${formatDay(weekEnd, { month: 'short', day: 'numeric', year: 'numeric' })}`;
 }
 
 function formatHour(h) {
@@ -231,4 +425,11 @@ function formatHour(h) {
   return `${hours}:${mins.toString().padStart(2, '0')}`;
 }
 
-export { AGENT_META };
+// "- steps: Apple Watch (84), iPhone (6)" per metric, so the model can name the device
+function formatSources(sources = {}) {
+  return Object.entries(sources)
+    .map(([metric, list]) => `- ${metric}: ${list.map(s => `${s.source} (${s.records})`).join(', ')}`)
+    .join('\n');
+}
+
+export { AGENT_META, OUTPUT_SCHEMA };
@@ -0,0 +1,92 @@
+/**
+ * Agent Registry
+ * Every module in agents/ that exports `run` and `AGENT_META` is an agent, and
+ * so is one in the plugins directory (PROOFI_PLUGINS_DIR, default ./plugins).
+ * The server routes, run-agents.js --agent, /api/status and the dashboard
+ * cards are all built from this list, so adding an agent is adding a file.
+ *
+ * Besides id, name, version, icon and the data it reads (requiredData,
+ * optionalData, minimumDays; checked by lib/preflight.js), AGENT_META can set:
+ *   route           API route name (/api/agent/<route>); default: the file name
+ *   resultKey       key its latest result is kept under; default: route in camelCase
+ *   aliases         other names for --agent
+ *   shortName       results tab label; default: name
+ *   runningMessage  line run-agents.js prints while it runs
+ *   summary         [{ icon, label?, path }]: result fields run-agents.js prints after it
+ *
+ * A plugin runs with the same access as Proofi itself: only install ones you trust.
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import { join, dirname, basename, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const BUILTIN_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'agents');
+const DEFAULT_PLUGINS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'plugins');
+
+/**
+ * Import the agents, built-in ones first, each directory in file name order.
+ * Resolves with [{ route, resultKey, aliases, meta, run, source, path }] —
+ * source is 'builtin' or 'plugin'. Throws when two agents claim the same name.
+ */
+export async function loadAgents({ dir = BUILTIN_DIR, pluginsDir = process.env.PROOFI_PLUGINS_DIR || DEFAULT_PLUGINS_DIR } = {}) {
+  const agents = [
+    ...await importDir(dir, 'builtin'),
+    ...(existsSync(pluginsDir) ? await importDir(resolve(pluginsDir), 'plugin') : [])
+  ];
+
+  const claimed = new Map();
+  for (const agent of agents) {
+    for (const name of [agent.route, agent.resultKey, ...agent.aliases]) {
+      const other = claimed.get(name);
+      if (other && other !== agent) throw new Error(`Agents ${other.path} and ${agent.path} both use the name "${name}"`);
+      claimed.set(name, agent);
+    }
+  }
+  return agents;
+}
+
+/** The agent called `name`: its route, result key or one of its aliases. */
+export function findAgent(agents, name) {
+  return agents.find(a => a.route === name || a.resultKey === name || a.aliases.includes(name));
+}
+
+/** What clients may know about an agent: its AGENT_META and registry names, no code. */
+export function describeAgent({ meta, route, resultKey, aliases, source }) {
+  return { ...meta, route, resultKey, aliases, shortName: meta.shortName || meta.name, source };
+}
+
+// Helpers
+
+async function importDir(dir, source) {
+  const files = readdirSync(dir).filter(f => f.endsWith('.js') || f.endsWith('.mjs')).sort();
+  const agents = [];
+  for (const file of files) {
+    const path = join(dir, file);
+    let mod;
+    try {
+      mod = await import(pathToFileURL(path).href);
+    } catch (err) {
+      throw new Error(`Could not load agent ${path}: ${err.message}`);
+    }
+    // Shared helpers can live next to the agents
+    if (typeof mod.run !== 'function' || !mod.AGENT_META) continue;
+
+    const meta = mod.AGENT_META;
+    for (const field of ['id', 'name', 'version']) {
+      if (!meta[field]) throw new Error(`Agent ${path} has no AGENT_META.${field}`);
+    }
+    const route = meta.route || basename(file).replace(/\.m?js$/, '');
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(route)) throw new Error(`Agent ${path} has an invalid route "${route}" (lowercase letters, digits and dashes)`);
+    agents.push({
+      route,
+      resultKey: meta.resultKey || route.replace(/-(\w)/g, (_, c) => c.toUpperCase()),
+      aliases: meta.aliases || [],
+      meta,
+      run: mod.run,
+      source,
+      path
+    });
+  }
+  return agents;
+}
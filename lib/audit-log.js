@@ -0,0 +1,181 @@
+/**
+ * Server Audit Log
+ * Append-only record of what the server did with your data: loads, token
+ * checks, agent runs and result reads. One JSON object per line, chained the
+ * same way as ProofiSDK.addAuditEntry:
+ *
+ *   { timestamp, action, details, prevHash, hash }
+ *
+ * hash is base64 SHA-256 of the entry without it (JSON, keys in that order);
+ * prevHash is the previous entry's hash, 64 zeros for the first. Editing,
+ * removing or reordering a line breaks the chain from there on.
+ *
+ * Details hold ids and counts, never health records.
+ * File: PROOFI_AUDIT_LOG, default audit.jsonl in the data directory.
+ *
+ * verifyBundle checks the dashboard's exports (ProofiSDK.exportAudit), which
+ * use the same chain plus the wallet's signature, without browser or wallet.
+ */
+
+import { createHash, createPublicKey, verify } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, appendFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'data');
+const GENESIS_HASH = '0'.repeat(64);
+// DER header that turns a raw 32-byte ed25519 public key into SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/** Where the log is unless a path is given. */
+export function defaultAuditPath() {
+  return process.env.PROOFI_AUDIT_LOG || join(process.env.PROOFI_DATA_DIR || DEFAULT_DIR, 'audit.jsonl');
+}
+
+/**
+ * Open (or create) the log and continue its chain.
+ * Returns { path, append(action, details), entries(), verify() }.
+ */
+export function openAuditLog({ path = defaultAuditPath() } = {}) {
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  const text = existsSync(path) ? readFileSync(path, 'utf8') : '';
+  let lastHash = parseLines(text).findLast(Boolean)?.hash ?? GENESIS_HASH;
+  // A line cut short by a crash stays as it is (verify reports it); new entries start on a fresh line
+  let prefix = text && !text.endsWith('\n') ? '\n' : '';
+
+  return {
+    path,
+
+    // Synchronous, so entries land in the order they happen
+    append(action, details = {}) {
+      const entry = { timestamp: Date.now(), action, details, prevHash: lastHash };
+      entry.hash = hashEntry(entry);
+      appendFileSync(path, `${prefix}${JSON.stringify(entry)}\n`, { mode: 0o600 });
+      prefix = '';
+      lastHash = entry.hash;
+      return entry;
+    },
+
+    // Nothing is written until the first entry
+    entries() {
+      return existsSync(path) ? readAuditLog(path) : [];
+    },
+
+    verify() {
+      return verifyChain(this.entries());
+    }
+  };
+}
+
+/** The entries in a log file; a line that isn't JSON comes back as null. */
+export function readAuditLog(path) {
+  if (!existsSync(path)) throw new Error(`Audit log not found: ${path}`);
+  return parseLines(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Check every hash and link, like ProofiSDK.verifyChain.
+ * Returns { valid: true, entries, finalHash } or { valid: false, brokenAt, reason }.
+ */
+export function verifyChain(entries) {
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry || typeof entry !== 'object') return { valid: false, brokenAt: i, reason: 'Not a JSON entry' };
+    const expectedPrev = i === 0 ? GENESIS_HASH : entries[i - 1].hash;
+    if (entry.prevHash !== expectedPrev) return { valid: false, brokenAt: i, reason: 'prevHash mismatch' };
+    if (hashEntry(entry) !== entry.hash) return { valid: false, brokenAt: i, reason: 'Hash mismatch' };
+  }
+  return { valid: true, entries: entries.length, finalHash: entries.at(-1)?.hash ?? null };
+}
+
+/**
+ * Re-check an audit export: the chain, that it ends at the exported finalHash,
+ * and the signature over signature.signedHash, which must be one of the
+ * entries' hashes (entries after it are covered by the chain only).
+ * Returns { chain, finalHashMatches, signature } — signature is null for an
+ * unsigned export, else { valid, reason?, coversEntries?, signerMatches }.
+ * signerMatches is null when the signer address isn't SS58 and can't be compared.
+ */
+export function verifyBundle(bundle) {
+  if (!Array.isArray(bundle?.entries)) throw new Error('Not an audit export: it has no entries list');
+  const finalHash = bundle.entries.at(-1)?.hash ?? null;
+  const chain = verifyChain(bundle.entries);
+  let signature = bundle.signature ? verifySignature(bundle.signature, bundle.entries) : null;
+  // A good signature over a hash doesn't vouch for entries that no longer produce it
+  if (signature?.valid && !chain.valid && chain.brokenAt < signature.coversEntries) {
+    signature = { valid: false, reason: `Entry ${chain.brokenAt}, which the signature covers, was changed`, signerMatches: signature.signerMatches };
+  }
+  return {
+    chain,
+    finalHashMatches: (bundle.verification?.finalHash ?? null) === finalHash,
+    signature
+  };
+}
+
+// Helpers
+
+function verifySignature({ algorithm, signer, publicKey, signedHash, value }, entries) {
+  const index = entries.findIndex(e => e?.hash === signedHash);
+  if (index === -1) return { valid: false, reason: 'The signed hash is not in the chain' };
+  if (algorithm !== 'ed25519') return { valid: false, reason: `Can't check ${algorithm} signatures, only ed25519` };
+  if (!publicKey || !value) return { valid: false, reason: 'The export has no public key or signature value' };
+
+  const rawKey = decodeBytes(publicKey);
+  let key;
+  try {
+    if (rawKey.length !== 32) throw new Error();
+    key = createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, rawKey]), format: 'der', type: 'spki' });
+  } catch {
+    return { valid: false, reason: 'The public key is not a 32-byte ed25519 key' };
+  }
+
+  const signerKey = ss58PublicKey(signer);
+  const signerMatches = signerKey ? signerKey.equals(rawKey) : null;
+  if (signerMatches === false) return { valid: false, reason: `The public key does not belong to ${signer}`, signerMatches };
+
+  // Wallets built on polkadot.js sign raw messages wrapped in <Bytes>...</Bytes>
+  const signature = decodeBytes(value);
+  const signed = [signedHash, `<Bytes>${signedHash}</Bytes>`]
+    .some(message => verify(null, Buffer.from(message), key, signature));
+  return signed
+    ? { valid: true, coversEntries: index + 1, signerMatches }
+    : { valid: false, reason: 'The signature does not match the public key', signerMatches };
+}
+
+// Hex (0x optional) or base64
+function decodeBytes(text) {
+  const hex = String(text).replace(/^0x/, '');
+  return /^([0-9a-f]{2})+$/i.test(hex) ? Buffer.from(hex, 'hex') : Buffer.from(String(text), 'base64');
+}
+
+// The public key in a Substrate (SS58) address such as a Cere wallet's, or null
+function ss58PublicKey(address) {
+  if (typeof address !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]+$/.test(address)) return null;
+  let n = 0n;
+  for (const char of address) n = n * 58n + BigInt(BASE58_ALPHABET.indexOf(char));
+  const hex = n.toString(16);
+  // Each leading '1' is a zero byte the number can't hold
+  const zeros = address.match(/^1*/)[0].length;
+  const bytes = Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex')]);
+  // 1- or 2-byte network prefix, 32-byte key, 2-byte checksum
+  const prefixLength = bytes.length - 34;
+  if (prefixLength !== 1 && prefixLength !== 2) return null;
+  const checksum = createHash('blake2b512').update(Buffer.concat([Buffer.from('SS58PRE'), bytes.subarray(0, -2)])).digest();
+  if (!checksum.subarray(0, 2).equals(bytes.subarray(-2))) return null;
+  return bytes.subarray(prefixLength, prefixLength + 32);
+}
+
+function hashEntry({ hash, ...rest }) {
+  return createHash('sha256').update(JSON.stringify(rest)).digest('base64');
+}
+
+function parseLines(text) {
+  return text.split('\n').filter(line => line.trim()).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * Capability Tokens
+ * Server-side counterpart of ProofiSDK.createAccessToken: a token grants one
+ * agent scopes like health/sleep/* until it expires or is revoked, and the
+ * agent only sees the data types those scopes cover.
+ *
+ * A token is base64url(JSON payload) + '.' + base64url(HMAC-SHA256 of it). The
+ * key is PROOFI_TOKEN_SECRET, or a random one per process (tokens then end
+ * with the server). Revocations are kept in memory until the token expires.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { matchScope } from './proofi-sdk.js';
+
+// Longest a token can be issued for
+const MAX_DURATION_MS = 7 * 24 * 3600000;
+
+// A data type counts as granted when a scope matches health/<type>/read
+export const scopeFor = (type) => `health/${type}/read`;
+
+/**
+ * Returns { issue, verify, revoke }:
+ *   issue(agentId, scopes, durationMs)  → { token, tokenId, agentId, scopes, createdAt, expiresAt }
+ *   verify(token)                       → { valid: true, token: payload } or { valid: false, reason }
+ *   revoke(tokenId)                     → whether it was live
+ */
+export function createTokenIssuer({ secret = process.env.PROOFI_TOKEN_SECRET || randomBytes(32) } = {}) {
+  // tokenId → { expiresAt (ms), revoked } for the tokens this issuer handed out
+  const issued = new Map();
+
+  const sign = (body) => createHmac('sha256', secret).update(body).digest('base64url');
+
+  return {
+    issue(agentId, scopes, durationMs = 3600000) {
+      if (!agentId) throw new Error('A token needs an agentId');
+      if (!Array.isArray(scopes) || !scopes.length || !scopes.every(s => typeof s === 'string' && s.startsWith('health/'))) {
+        throw new Error('scopes must be a non-empty list like ["health/sleep/*"]');
+      }
+      if (!Number.isInteger(durationMs) || durationMs <= 0 || durationMs > MAX_DURATION_MS) {
+        throw new Error(`durationMs must be a whole number of milliseconds up to ${MAX_DURATION_MS} (7 days), got ${durationMs}`);
+      }
+      const now = Date.now();
+      for (const [id, entry] of issued) if (entry.expiresAt < now) issued.delete(id);
+
+      const payload = {
+        tokenId: randomBytes(16).toString('base64url'),
+        agentId,
+        scopes,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + durationMs).toISOString()
+      };
+      issued.set(payload.tokenId, { expiresAt: now + durationMs, revoked: false });
+      const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+      return { token: `${body}.${sign(body)}`, ...payload };
+    },
+
+    verify(token) {
+      const [body, signature, extra] = String(token || '').split('.');
+      if (!body || !signature || extra !== undefined) return { valid: false, reason: 'Malformed token' };
+      const expected = Buffer.from(sign(body));
+      const given = Buffer.from(signature);
+      if (given.length !== expected.length || !timingSafeEqual(given, expected)) return { valid: false, reason: 'Bad signature' };
+
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+      if (issued.get(payload.tokenId)?.revoked) return { valid: false, reason: 'Token revoked' };
+      if (new Date(payload.expiresAt) < new Date()) return { valid: false, reason: 'Token expired' };
+      return { valid: true, token: payload };
+    },
+
+    revoke(tokenId) {
+      const entry = issued.get(tokenId);
+      if (!entry || entry.revoked || entry.expiresAt < Date.now()) return false;
+      entry.revoked = true;
+      return true;
+    }
+  };
+}
+
+/**
+ * The part of `healthData` the scopes grant. `denied` lists the types that
+ * have records but weren't granted.
+ */
+export function filterByScopes(healthData, scopes) {
+  const data = {};
+  const denied = [];
+  for (const [type, records] of Object.entries(healthData)) {
+    if (scopes.some(scope => matchScope(scope, scopeFor(type)))) data[type] = records;
+    else if (records.length) denied.push(type);
+  }
+  return { data, denied };
+}
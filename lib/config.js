@@ -0,0 +1,162 @@
+/**
+ * LLM Configuration
+ * Which inference server and model the agents talk to, and how they generate.
+ *
+ * Later sources win: built-in defaults, the config file (PROOFI_CONFIG, default
+ * ./proofi.config.json, under an "llm" key), env vars, then per-run overrides
+ * (run-agents.js --model, or the body of POST /api/agent/:name).
+ *
+ *   provider     PROOFI_LLM_PROVIDER      ollama, openai (any OpenAI-compatible server,
+ *                                         e.g. vLLM) or llamacpp (llama.cpp's own API); ollama
+ *   baseUrl      PROOFI_LLM_URL           the provider's usual local address (see DEFAULT_URLS);
+ *                                         PROOFI_OLLAMA_URL is still read
+ *   model        PROOFI_MODEL             llama3.2
+ *   numCtx       PROOFI_NUM_CTX           context window in tokens; prompts are trimmed to fit it
+ *                                         (4096 assumed if unset; only Ollama is sent it)
+ *   numPredict   PROOFI_NUM_PREDICT       max tokens to generate, 2048
+ *   temperature  PROOFI_TEMPERATURE       each agent's own default if unset
+ *   apiKey       PROOFI_LLM_API_KEY       bearer token, for servers started with --api-key
+ *   allowRemote  PROOFI_LLM_ALLOW_REMOTE  accept a baseUrl that isn't on this machine; off
+ *
+ * Health data goes to the baseUrl, so anything but a loopback address
+ * (localhost, 127.x.x.x, ::1) is refused unless allowRemote is set.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_LLM_CONFIG = {
+  provider: 'ollama',
+  model: 'llama3.2',
+  numPredict: 2048,
+  timeoutMs: 300000,
+  retries: 2,
+  concurrency: 1
+};
+
+// Where each provider's server listens by default
+export const DEFAULT_URLS = {
+  ollama: 'http://localhost:11434',
+  openai: 'http://localhost:8000',
+  llamacpp: 'http://localhost:8080'
+};
+
+const DEFAULT_CONFIG_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'proofi.config.json');
+
+// The first one set wins where there are several
+const ENV_VARS = {
+  provider: 'PROOFI_LLM_PROVIDER',
+  baseUrl: ['PROOFI_LLM_URL', 'PROOFI_OLLAMA_URL'],
+  model: 'PROOFI_MODEL',
+  numCtx: 'PROOFI_NUM_CTX',
+  numPredict: 'PROOFI_NUM_PREDICT',
+  temperature: 'PROOFI_TEMPERATURE',
+  apiKey: 'PROOFI_LLM_API_KEY',
+  allowRemote: 'PROOFI_LLM_ALLOW_REMOTE',
+  timeoutMs: 'PROOFI_LLM_TIMEOUT_MS',
+  retries: 'PROOFI_LLM_RETRIES',
+  concurrency: 'PROOFI_LLM_CONCURRENCY'
+};
+
+let fileConfig = null;
+
+/**
+ * The effective LLM config with `overrides` applied on top. Unset options are
+ * left out, so an agent's default temperature still applies. Throws on values
+ * the server would reject or misread, and on a non-local baseUrl without allowRemote.
+ */
+export function resolveLLMConfig(overrides = {}) {
+  const env = Object.fromEntries(Object.entries(ENV_VARS).map(([key, names]) => [
+    key,
+    [].concat(names).map(name => process.env[name]).find(v => v !== undefined && v !== '')
+  ]));
+  const config = { ...DEFAULT_LLM_CONFIG };
+  for (const layer of [loadConfigFile().llm, env, overrides]) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (key in ENV_VARS && value !== undefined && value !== null && value !== '') config[key] = value;
+    }
+  }
+  return validate(config);
+}
+
+/**
+ * Pick the per-request overrides out of a request body or CLI options.
+ * The provider, base URL, API key and allowRemote are deliberately not among
+ * them: a request must not be able to point the server at another host.
+ */
+export function llmOverrides({ model, numCtx, numPredict, temperature } = {}) {
+  return Object.fromEntries(Object.entries({ model, numCtx, numPredict, temperature }).filter(([, v]) => v !== undefined));
+}
+
+// Helpers
+
+function loadConfigFile() {
+  if (fileConfig) return fileConfig;
+  const path = process.env.PROOFI_CONFIG || DEFAULT_CONFIG_PATH;
+  if (!existsSync(path)) {
+    if (process.env.PROOFI_CONFIG) throw new Error(`Config file not found: ${path}`);
+    return (fileConfig = {});
+  }
+  try {
+    fileConfig = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid config file ${path}: ${err.message}`);
+  }
+  return fileConfig;
+}
+
+function validate(config) {
+  const out = {};
+  if (!(config.provider in DEFAULT_URLS)) {
+    throw new Error(`Invalid LLM provider: ${config.provider} (expected ${Object.keys(DEFAULT_URLS).join(', ')})`);
+  }
+  out.provider = config.provider;
+
+  const baseUrl = config.baseUrl ?? DEFAULT_URLS[config.provider];
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    throw new Error(`Invalid LLM URL: ${baseUrl}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`Invalid LLM URL: ${baseUrl}`);
+  out.allowRemote = [true, 'true', '1', 'yes'].includes(config.allowRemote);
+  if (!out.allowRemote && !isLoopback(url.hostname)) {
+    throw new Error(`Refusing to send health data to ${url.host}: the LLM server must be on this machine. ` +
+      'Set llm.allowRemote in proofi.config.json or PROOFI_LLM_ALLOW_REMOTE=1 to allow it.');
+  }
+  out.baseUrl = baseUrl.replace(/\/+$/, '');
+
+  if (config.apiKey !== undefined) out.apiKey = String(config.apiKey);
+
+  if (typeof config.model !== 'string' || !config.model.trim()) throw new Error(`Invalid model: ${config.model}`);
+  out.model = config.model.trim();
+
+  for (const key of ['numCtx', 'numPredict', 'timeoutMs', 'concurrency']) {
+    if (config[key] === undefined) continue;
+    const n = Number(config[key]);
+    if (!Number.isInteger(n) || n <= 0) throw new Error(`Invalid ${key}: ${config[key]} (expected a positive integer)`);
+    out[key] = n;
+  }
+
+  const retries = Number(config.retries);
+  if (!Number.isInteger(retries) || retries < 0) throw new Error(`Invalid retries: ${config.retries} (expected 0 or more)`);
+  out.retries = retries;
+
+  if (config.temperature !== undefined) {
+    const t = Number(config.temperature);
+    if (!Number.isFinite(t) || t < 0 || t > 2) throw new Error(`Invalid temperature: ${config.temperature} (expected 0–2)`);
+    out.temperature = t;
+  }
+  return out;
+}
+
+// Hostnames as URL parses them: IPv6 in brackets, IPv4-mapped IPv6 in hex
+function isLoopback(hostname) {
+  return hostname === 'localhost'
+    || hostname.endsWith('.localhost')
+    || /^127\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(hostname)
+    || hostname === '[::1]'
+    || /^\[::ffff:7f[0-9a-f]{2}:[0-9a-f]{1,4}\]$/i.test(hostname);
+}
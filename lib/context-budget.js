@@ -0,0 +1,119 @@
+/**
+ * Prompt Context Budget
+ * Keeps an agent's prompt, plus room for the reply, inside the model's context
+ * window (llm.numCtx). Agents build their prompt as sections; when the whole
+ * doesn't fit, the least relevant ones are summarized first, then dropped,
+ * and the result says which.
+ *
+ * A section is { id, text, summary?, priority, topics?, required? }:
+ *   priority  0-3, how much the section is worth on its own
+ *   topics    data types it covers (sleep, hrv, ...); +2 priority when a user
+ *             goal mentions one of them
+ *   summary   shorter text to use before dropping the section outright
+ *   required  never trimmed (the task, the output format)
+ */
+
+// Assumed when numCtx is unset: Ollama's default window
+export const DEFAULT_CONTEXT_TOKENS = 4096;
+
+// Kept free for the reply; numPredict is used instead when it's smaller
+export const REPLY_TOKENS = 1024;
+
+// Characters per token. Pessimistic on purpose: numbers, units and
+// punctuation split into more tokens than prose does.
+const CHARS_PER_TOKEN = 3;
+
+// Words in a goal that make a data type relevant to it (matched at word starts)
+const TOPIC_KEYWORDS = {
+  sleep: ['sleep', 'bed', 'insomnia', 'tired', 'fatigue', 'energy'],
+  hrv: ['hrv', 'heart rate variability', 'recovery', 'stress', 'overtrain'],
+  restingHR: ['resting', 'heart', 'recovery', 'cardio'],
+  workouts: ['workout', 'training', 'exercise', 'fitness', 'strength', 'run', 'marathon', 'gym', 'endurance'],
+  steps: ['step', 'walk', 'active', 'activity', 'move', 'sedentary'],
+  spo2: ['oxygen', 'spo2', 'breath', 'apnea', 'altitude'],
+  caffeine: ['caffeine', 'coffee'],
+  water: ['water', 'hydrat'],
+  mindful: ['mindful', 'meditat', 'stress', 'calm', 'anxiety'],
+  vo2Max: ['vo2', 'fitness', 'cardio', 'endurance', 'aerobic'],
+  wristTemp: ['temperature', 'illness', 'sick', 'cycle'],
+  bloodPressure: ['blood pressure', 'hypertension', 'heart'],
+  glucose: ['glucose', 'sugar', 'diabet', 'metabolic'],
+  bodyMass: ['weight', 'fat', 'mass', 'lose', 'bmi', 'body']
+};
+
+/** Rough token count of `text`, erring high. */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Join `sections` into a prompt that fits the context window left over by
+ * `system` and the reply. Resolves the reply length too: numPredict is lowered
+ * when the prompt leaves less room than it asks for.
+ * Returns { prompt, numPredict, context } — context is the report for the
+ * result: { window, promptTokens, numPredict, summarized, dropped, overflow? }.
+ */
+export function budgetPrompt(sections, { llm = {}, system = '', goals = [] } = {}) {
+  const window = llm.numCtx ?? DEFAULT_CONTEXT_TOKENS;
+  const reserve = Math.min(llm.numPredict ?? REPLY_TOKENS, REPLY_TOKENS);
+  const budget = window - estimateTokens(system) - reserve;
+
+  const parts = sections.map((section, index) => ({
+    ...section,
+    index,
+    score: (section.priority ?? 1) + (isRelevant(section.topics, goals) ? 2 : 0),
+    tokens: estimateTokens(section.text)
+  }));
+  let total = parts.reduce((sum, p) => sum + p.tokens, 0);
+
+  // Least relevant first; between equals, the one further down the prompt
+  const trimmable = parts.filter(p => !p.required)
+    .sort((a, b) => a.score - b.score || b.index - a.index);
+  const summarized = [];
+  const dropped = [];
+
+  // One score at a time: summarize what can be, then drop, before touching anything more relevant
+  for (const score of new Set(trimmable.map(p => p.score))) {
+    const tier = trimmable.filter(p => p.score === score);
+    for (const part of tier) {
+      if (total <= budget) break;
+      if (part.summary === undefined) continue;
+      const tokens = estimateTokens(part.summary);
+      total += tokens - part.tokens;
+      Object.assign(part, { text: part.summary, tokens });
+      summarized.push(part.id);
+    }
+    for (const part of tier) {
+      if (total <= budget) break;
+      total -= part.tokens;
+      part.dropped = true;
+      dropped.push(part.id);
+    }
+  }
+
+  const prompt = parts.filter(p => !p.dropped).map(p => p.text).join('');
+  const promptTokens = estimateTokens(system) + estimateTokens(prompt);
+  const numPredict = Math.max(reserve, Math.min(llm.numPredict ?? window, window - promptTokens));
+
+  return {
+    prompt,
+    numPredict,
+    context: {
+      window,
+      promptTokens,
+      numPredict,
+      summarized: summarized.filter(id => !dropped.includes(id)),
+      dropped,
+      // Only the required sections were left and they still don't fit
+      ...(promptTokens + reserve > window && { overflow: true })
+    }
+  };
+}
+
+// Helpers
+
+function isRelevant(topics = [], goals) {
+  const text = goals.join(' ').toLowerCase();
+  return topics.some(topic => (TOPIC_KEYWORDS[topic] || [topic.toLowerCase()])
+    .some(word => new RegExp(`\\b${word}`).test(text)));
+}
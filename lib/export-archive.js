@@ -0,0 +1,130 @@
+/**
+ * Apple Health Export Archive
+ * Opens export.xml straight out of the export.zip Apple produces,
+ * inflating it as a stream — nothing is unpacked to disk.
+ */
+
+import { openSync, readSync, closeSync } from 'fs';
+import yauzl from 'yauzl';
+
+const EXPECTED_ENTRY = 'apple_health_export/export.xml';
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+export function isZipFile(filePath) {
+  const fd = openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(4);
+    readSync(fd, head, 0, 4, 0);
+    return head.equals(ZIP_MAGIC);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Locate export.xml inside an Apple Health export.zip and open it for reading.
+ * Resolves with { stream, totalBytes, entryName }; the stream yields the
+ * inflated XML and closes the archive when it ends.
+ *
+ * Rejects if the archive has no apple_health_export/export.xml (or a single
+ * top-level folder holding an export.xml, for renamed exports).
+ */
+export function openExportXML(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (err, zip) => {
+      if (err) return reject(new Error(`Not a readable zip archive: ${err.message}`));
+
+      const seen = [];
+      let fallback = null;
+
+      const fail = (error) => {
+        zip.close();
+        reject(error);
+      };
+
+      const open = (entry) => {
+        zip.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) return fail(new Error(`Cannot read ${entry.fileName} from archive: ${streamErr.message}`));
+          stream.on('end', () => zip.close());
+          stream.on('error', () => zip.close());
+          resolve({ stream, totalBytes: entry.uncompressedSize, entryName: entry.fileName });
+        });
+      };
+
+      zip.on('entry', (entry) => {
+        const name = entry.fileName;
+        if (name === EXPECTED_ENTRY) return open(entry);
+        if (seen.length < 10 && !name.endsWith('/')) seen.push(name);
+        if (!fallback && /^[^/]+\/export\.xml$/i.test(name)) fallback = entry;
+        zip.readEntry();
+      });
+      zip.on('end', () => {
+        if (fallback) return open(fallback);
+        fail(new Error(
+          `Unexpected archive layout: no ${EXPECTED_ENTRY} in the archive. ` +
+          `Use the export.zip from Apple Health → Export All Health Data.` +
+          (seen.length ? ` Found: ${seen.join(', ')}` : ' The archive is empty.')
+        ));
+      });
+      zip.on('error', (zipErr) => fail(new Error(`Corrupt zip archive: ${zipErr.message}`)));
+
+      zip.readEntry();
+    });
+  });
+}
+
+/**
+ * Stream every entry whose name matches `predicate` to `onEntry(name, stream)`,
+ * one at a time. Used by importers whose exports are zips of many small files
+ * (Google Takeout, Fitbit, Whoop).
+ */
+export function readZipEntries(zipPath, predicate, onEntry) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (err, zip) => {
+      if (err) return reject(new Error(`Not a readable zip archive: ${err.message}`));
+      let matched = 0;
+
+      zip.on('entry', (entry) => {
+        if (entry.fileName.endsWith('/') || !predicate(entry.fileName)) return zip.readEntry();
+        zip.openReadStream(entry, async (streamErr, stream) => {
+          if (streamErr) {
+            zip.close();
+            return reject(new Error(`Cannot read ${entry.fileName} from archive: ${streamErr.message}`));
+          }
+          try {
+            await onEntry(entry.fileName, stream);
+            matched++;
+            zip.readEntry();
+          } catch (entryErr) {
+            stream.destroy();
+            zip.close();
+            reject(entryErr);
+          }
+        });
+      });
+      zip.on('end', () => resolve(matched));
+      zip.on('error', (zipErr) => reject(new Error(`Corrupt zip archive: ${zipErr.message}`)));
+
+      zip.readEntry();
+    });
+  });
+}
+
+/**
+ * Names of all files in a zip, without reading their contents.
+ */
+export function listZipEntries(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (err, zip) => {
+      if (err) return reject(new Error(`Not a readable zip archive: ${err.message}`));
+      const names = [];
+      zip.on('entry', (entry) => {
+        if (!entry.fileName.endsWith('/')) names.push(entry.fileName);
+        zip.readEntry();
+      });
+      zip.on('end', () => resolve(names));
+      zip.on('error', (zipErr) => reject(new Error(`Corrupt zip archive: ${zipErr.message}`)));
+      zip.readEntry();
+    });
+  });
+}
@@ -0,0 +1,172 @@
+/**
+ * Numerical Grounding
+ * The prompts ask for "specific numbers"; this checks that the numbers in an
+ * agent's reply come from the figures it was given (computeStats,
+ * crossCorrelate, computeTrends) rather than from the model's imagination.
+ *
+ * Every number in every string of the reply is a claim, and is marked:
+ *   grounded     matches a pre-computed fact (a number, or one quoted in a
+ *                pre-written finding), allowing for rounding; "13%" may quote a
+ *                0.13 fraction, "45 min" an hours figure, "1.8L" millilitres
+ *   derived      matches the difference (or, for a percentage, the percent change)
+ *                between two related facts: the same field across weeks or
+ *                sources, or sibling fields with a shared stem such as
+ *                last7avg/prev7avg — "up 12% vs last week"
+ *   unsupported  matches neither
+ * Units beyond those conversions aren't checked, and context like "2 weeks" or
+ * "top 3" isn't a claim.
+ */
+
+// A claim matches when within this fraction of its value, or its own rounding
+const REL_TOLERANCE = 0.02;
+// Related facts compared pairwise for derived values, per group
+const MAX_GROUP = 30;
+// Sibling fields sharing a prefix or suffix this long are compared for derived values
+const MIN_STEM = 3;
+const SPAN_UNITS = /^(days?|weeks?|nights?|months?|years?|x|times|st|nd|rd|th)$/i;
+const HOUR_UNITS = /^(h|hrs?|hours?)$/i;
+const MINUTE_UNITS = /^(m|mins?|minutes?)$/i;
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}/;
+const CLOCK = /\b(\d{1,2})(?::(\d{2})\s*(am|pm)?|\s*(am|pm))\b/gi;
+const NUMBER = /(^|[^\w.#/-]|-(?=\d))(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)(\s*(%|(?:days?|weeks?|nights?|months?|years?|x|times|st|nd|rd|th|h|hrs?|hours?|m|mins?|minutes?|ms|bpm|brpm|kg|lbs?|steps|kcal|cal|mg\/dL|mg|ml|L|°C|°F|mmHg|points?|pts)\b))?/g;
+
+/**
+ * Check the numbers in `output` against `facts`, an object of named fact
+ * sources (e.g. { stats, correlations }). Returns
+ * { checked, grounded, derived, unsupported, claims: [{ field, text, value, status, fact }] }.
+ */
+export function checkGrounding(output, facts) {
+  const known = collectFacts(facts);
+  const claims = [];
+  for (const { field, text } of collectStrings(output)) {
+    for (const claim of extractClaims(text)) {
+      claims.push({ field, text: claim.text, value: claim.value, ...matchClaim(claim, known) });
+    }
+  }
+  const count = status => claims.filter(c => c.status === status).length;
+  return {
+    checked: claims.length,
+    grounded: count('grounded'),
+    derived: count('derived'),
+    unsupported: count('unsupported'),
+    claims
+  };
+}
+
+/**
+ * The numeric claims in one string: [{ text, value, percent, candidates }], where
+ * candidates are the [value, tolerance] readings a fact could match.
+ * Clock times ("23:15", "11:15pm", "7am") become fractional hours, with 24+ for past midnight.
+ */
+export function extractClaims(text) {
+  const claims = [];
+  const rest = String(text)
+    .replace(/\d{4}-\d{2}-\d{2}/g, ' ')
+    .replace(CLOCK, (match, h, m = '0', ampm, bareAmpm) => {
+      const meridiem = ampm || bareAmpm;
+      let hour = parseInt(h) % 24 + parseInt(m) / 60;
+      if (meridiem?.toLowerCase() === 'pm' && hour < 12) hour += 12;
+      if (meridiem?.toLowerCase() === 'am' && hour >= 12) hour -= 12;
+      claims.push({ text: match.trim(), value: round(hour), percent: false, candidates: [[hour, 0.1], [hour + 24, 0.1]] });
+      return ' ';
+    });
+
+  for (const m of rest.matchAll(NUMBER)) {
+    const [, , digits, suffix = '', unit = ''] = m;
+    const value = parseFloat(digits.replace(/,/g, ''));
+    if (SPAN_UNITS.test(unit)) continue;
+    if (!unit && Number.isInteger(value) && (value <= 10 || (value >= 1900 && value <= 2100))) continue;
+    const decimals = digits.split('.')[1]?.length || 0;
+    const tolerance = Math.max(0.5 * 10 ** -decimals, REL_TOLERANCE * value);
+    const candidates = [[value, tolerance]];
+    if (unit === '%') candidates.push([value / 100, tolerance / 100]);
+    if (HOUR_UNITS.test(unit)) candidates.push([value * 60, tolerance * 60]);
+    if (MINUTE_UNITS.test(unit)) candidates.push([value / 60, tolerance / 60]);
+    if (unit === 'L') candidates.push([value * 1000, tolerance * 1000]);
+    claims.push({ text: `${digits}${suffix}`.trim(), value, percent: unit === '%', candidates });
+  }
+  return claims;
+}
+
+// Helpers
+
+function matchClaim({ candidates, percent }, known) {
+  const near = (v) => candidates.some(([c, tolerance]) => Math.abs(c - v) <= tolerance);
+  const fact = known.facts.find(f => near(Math.abs(f.value)));
+  if (fact) return { status: 'grounded', fact: fact.path };
+  const derived = known.derived.find(d => near(d.diff) || (percent && d.change !== null && near(d.change)));
+  if (derived) return { status: 'derived', fact: `${derived.from[0]} vs ${derived.from[1]}` };
+  return { status: 'unsupported', fact: null };
+}
+
+// Every finite number in the fact sources and in their text (a correlation's
+// finding), plus the differences and percent changes between related numbers
+function collectFacts(sources) {
+  const facts = [];
+  const siblings = new Map();
+  const sameField = new Map();
+
+  const walk = (value, path, relative, parent) => {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      const fact = { path, key: path.slice(path.lastIndexOf('.') + 1), value };
+      facts.push(fact);
+      addTo(siblings, parent, fact);
+      addTo(sameField, relative, fact);
+    } else if (typeof value === 'string' && /\s/.test(value) && !TIMESTAMP.test(value)) {
+      // Prose only: timestamps and ids aren't something a reply quotes
+      for (const claim of extractClaims(value)) facts.push({ path, key: null, value: claim.value });
+    } else if (Array.isArray(value)) {
+      value.forEach((v, i) => walk(v, `${path}[${i}]`, `${relative}[*]`, path));
+    } else if (value && typeof value === 'object') {
+      for (const [k, v] of Object.entries(value)) walk(v, `${path}.${k}`, `${relative}.${k}`, path);
+    }
+  };
+  for (const [name, value] of Object.entries(sources)) walk(value, name, '', name);
+
+  const derived = [];
+  const pairUp = (group, related) => {
+    const list = group.slice(0, MAX_GROUP);
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const [a, b] = [list[i], list[j]];
+        if (!related(a.key, b.key)) continue;
+        derived.push({
+          from: [a.path, b.path],
+          diff: Math.abs(a.value - b.value),
+          change: b.value ? Math.abs((a.value - b.value) / b.value) * 100 : null
+        });
+      }
+    }
+  };
+  for (const group of sameField.values()) pairUp(group, () => true);
+  for (const group of siblings.values()) pairUp(group, sharesStem);
+  return { facts, derived };
+}
+
+function sharesStem(a, b) {
+  const n = Math.min(a.length, b.length);
+  let prefix = 0;
+  while (prefix < n && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < n && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+  return prefix >= MIN_STEM || suffix >= MIN_STEM;
+}
+
+function addTo(map, key, fact) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(fact);
+}
+
+// Every string in a reply with its path, e.g. insights[0].finding
+function collectStrings(value, field = '') {
+  if (typeof value === 'string') return [{ field, text: value }];
+  if (Array.isArray(value)) return value.flatMap((v, i) => collectStrings(v, `${field}[${i}]`));
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([k, v]) => collectStrings(v, field ? `${field}.${k}` : k));
+  }
+  return [];
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -1,10 +1,14 @@
 /**
  * Apple Health XML Parser
- * Parses Apple Health export XML into structured health data
+ * Parses Apple Health exports (export.zip or export.xml) into structured health data
  */
 
-import { XMLParser } from 'fast-xml-parser';
-import { readFileSync } from 'fs';
+import { createReadStream, statSync } from 'fs';
+import { StringDecoder } from 'string_decoder';
+import sax from 'sax';
+import { isZipFile, openExportXML } from './export-archive.js';
+import { createSourcePolicy, applySourcePriority, DEFAULT_SOURCE_PRIORITY } from './source-priority.js';
+import { resolveTimeZone, parseHealthDate, localParts, localDate, zonedTime, formatHealthDate, addDays, dayOfWeek } from './time.js';
 
 const HEALTH_TYPES = {
   sleep: [
@@ -36,119 +40,778 @@ const HEALTH_TYPES = {
   ],
   respiratoryRate: [
     'HKQuantityTypeIdentifierRespiratoryRate'
+  ],
+  mindful: [
+    'HKCategoryTypeIdentifierMindfulSession'
+  ],
+  vo2Max: [
+    'HKQuantityTypeIdentifierVO2Max'
+  ],
+  wristTemp: [
+    'HKQuantityTypeIdentifierAppleSleepingWristTemperature'
+  ],
+  systolicBP: [
+    'HKQuantityTypeIdentifierBloodPressureSystolic'
+  ],
+  diastolicBP: [
+    'HKQuantityTypeIdentifierBloodPressureDiastolic'
+  ],
+  glucose: [
+    'HKQuantityTypeIdentifierBloodGlucose'
+  ],
+  caffeine: [
+    'HKQuantityTypeIdentifierDietaryCaffeine'
+  ],
+  water: [
+    'HKQuantityTypeIdentifierDietaryWater'
   ]
 };
 
-export function parseAppleHealthXML(xmlPath) {
-  const xml = readFileSync(xmlPath, 'utf-8');
-  const parser = new XMLParser({
-    ignoreAttributes: false,
-    attributeNamePrefix: '',
-    parseAttributeValue: true
-  });
-  const parsed = parser.parse(xml);
-  const records = parsed?.HealthData?.Record || [];
-  const workouts = parsed?.HealthData?.Workout || [];
-
-  return { records: Array.isArray(records) ? records : [records], workouts: Array.isArray(workouts) ? workouts : [workouts] };
+// HKCategoryValueSleepAnalysis values → stage. "Asleep" is the pre-iOS 16
+// value, "AsleepUnspecified" is what third-party apps write without staging.
+const SLEEP_STAGES = {
+  HKCategoryValueSleepAnalysisInBed: 'inBed',
+  HKCategoryValueSleepAnalysisAsleep: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepUnspecified: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepCore: 'core',
+  HKCategoryValueSleepAnalysisAsleepDeep: 'deep',
+  HKCategoryValueSleepAnalysisAsleepREM: 'rem',
+  HKCategoryValueSleepAnalysisAwake: 'awake'
+};
+
+// How intraday samples roll up into one value per local calendar day
+const DAILY_ROLLUPS = {
+  steps: { field: 'count', reduce: 'sum', decimals: 0 },
+  activeEnergy: { field: 'kcal', reduce: 'sum', decimals: 0 },
+  hrv: { field: 'ms', reduce: 'mean', decimals: 0 },
+  restingHR: { field: 'bpm', reduce: 'mean', decimals: 1 },
+  spo2: { field: 'pct', reduce: 'mean', decimals: 1 },
+  respiratoryRate: { field: 'brpm', reduce: 'mean', decimals: 1 },
+  bodyMass: { field: 'kg', reduce: 'last', decimals: 1 },
+  mindful: { field: 'minutes', reduce: 'sum', decimals: 0 },
+  vo2Max: { field: 'mlKgMin', reduce: 'last', decimals: 1 },
+  wristTemp: { field: 'celsius', reduce: 'mean', decimals: 2 },
+  systolicBP: { field: 'mmHg', reduce: 'mean', decimals: 0 },
+  diastolicBP: { field: 'mmHg', reduce: 'mean', decimals: 0 },
+  glucose: { field: 'mgdl', reduce: 'mean', decimals: 0 },
+  // Caffeine also reports how much of the day's total came from 2pm on
+  caffeine: { field: 'mg', reduce: 'sum', decimals: 0, lateField: 'mgAfter2pm', lateHour: 14 },
+  water: { field: 'ml', reduce: 'sum', decimals: 0 }
+};
+
+// Activity types that count as intense without heart rate data. Apple names
+// plus the short names generateSampleData uses.
+const INTENSE_WORKOUT_TYPES = [
+  'Running', 'Cycling', 'HIIT', 'HighIntensityIntervalTraining', 'Rowing', 'CrossTraining',
+  'Boxing', 'Kickboxing', 'JumpRope', 'StairClimbing', 'MixedCardio'
+];
+// Average session HR at or above which a workout is intense; intense activity
+// types clear a lower bar so an easy spin on the bike doesn't count.
+const INTENSE_HR_BPM = 140;
+const INTENSE_TYPE_HR_BPM = 125;
+const LATE_WORKOUT_HOUR = 19;
+
+const ASLEEP_STAGES = ['asleep', 'core', 'deep', 'rem'];
+const HOUR_MS = 3600000;
+// Stage samples further apart than this belong to different sleep blocks (e.g. a nap)
+const SLEEP_BLOCK_GAP_MS = 2 * HOUR_MS;
+const DATE_PREFIX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse an Apple Health export — either export.zip straight from the phone or
+ * the export.xml inside it. Zips are inflated as a stream, never unpacked.
+ */
+export async function streamAppleHealthExport(filePath, options = {}) {
+  if (!isZipFile(filePath)) return streamAppleHealthXML(filePath, options);
+  const { stream, totalBytes } = await openExportXML(filePath);
+  return parseHealthXMLStream(stream, totalBytes, options);
 }
 
-export function extractHealthData(records, workouts) {
-  const data = {
-    sleep: [],
-    heartRate: [],
-    hrv: [],
-    steps: [],
-    spo2: [],
-    restingHR: [],
-    activeEnergy: [],
-    bodyMass: [],
-    respiratoryRate: [],
-    workouts: []
+/**
+ * Stream an Apple Health export.xml through a SAX parser, one Record/Workout
+ * element at a time, so multi-gigabyte exports parse in flat memory.
+ * Resolves with the same healthData shape as extractHealthData.
+ *
+ * onProgress({ bytesRead, totalBytes, percent, records, workouts }) fires as
+ * each whole percent of the file is consumed. sourcePriority overrides the
+ * default device preference (see lib/source-priority.js); timeZone places
+ * records that carry no UTC offset (see lib/time.js).
+ */
+export async function streamAppleHealthXML(xmlPath, options = {}) {
+  const stream = createReadStream(xmlPath, { highWaterMark: 1 << 20 });
+  return parseHealthXMLStream(stream, statSync(xmlPath).size, options);
+}
+
+async function parseHealthXMLStream(stream, totalBytes, { onProgress, sourcePriority, timeZone, incremental } = {}) {
+  const collector = createHealthCollector({ sourcePriority, timeZone, incremental });
+  const parser = sax.parser(true);
+  const decoder = new StringDecoder('utf8');
+  let bytesRead = 0, records = 0, workouts = 0, lastPercent = -1;
+  let parseError = null;
+
+  let workout = null;
+  // Blood pressure and food Correlations repeat Records already listed at the
+  // top level; counting them again would double caffeine and water totals
+  let inCorrelation = false;
+
+  parser.onopentag = (node) => {
+    if (node.name === 'Record' && !inCorrelation) {
+      collector.addRecord(node.attributes);
+      records++;
+    } else if (node.name === 'Correlation') {
+      inCorrelation = true;
+    } else if (node.name === 'Workout') {
+      workout = { ...node.attributes, WorkoutStatistics: [] };
+    } else if (node.name === 'WorkoutStatistics' && workout) {
+      workout.WorkoutStatistics.push(node.attributes);
+    }
+  };
+  parser.onclosetag = (name) => {
+    if (name === 'Correlation') inCorrelation = false;
+    if (name === 'Workout' && workout) {
+      collector.addWorkout(workout);
+      workout = null;
+      workouts++;
+    }
+  };
+  parser.onerror = (err) => {
+    parseError = new Error(`Invalid Apple Health XML: ${err.message.split('\n')[0]}`);
   };
 
-  for (const r of records) {
-    const type = r.type;
-    if (!type) continue;
+  for await (const chunk of stream) {
+    parser.write(decoder.write(chunk));
+    if (parseError) {
+      stream.destroy();
+      throw parseError;
+    }
+    bytesRead += chunk.length;
+    const percent = totalBytes ? Math.min(100, Math.floor(bytesRead / totalBytes * 100)) : 100;
+    if (onProgress && percent !== lastPercent) {
+      lastPercent = percent;
+      onProgress({ bytesRead, totalBytes, percent, records, workouts });
+    }
+  }
+  parser.write(decoder.end());
+  parser.close();
+  if (parseError) throw parseError;
 
-    if (HEALTH_TYPES.sleep.includes(type)) {
-      data.sleep.push({
-        start: r.startDate,
-        end: r.endDate,
-        value: r.value,
-        source: r.sourceName
-      });
-    } else if (HEALTH_TYPES.heartRate.includes(type)) {
-      data.heartRate.push({
-        date: r.startDate,
-        bpm: parseFloat(r.value),
-        source: r.sourceName
-      });
-    } else if (HEALTH_TYPES.hrv.includes(type)) {
-      data.hrv.push({
-        date: r.startDate,
-        ms: parseFloat(r.value),
-        source: r.sourceName
-      });
-    } else if (HEALTH_TYPES.spo2.includes(type)) {
-      data.spo2.push({
-        date: r.startDate,
-        pct: parseFloat(r.value) * 100,
-        source: r.sourceName
-      });
-    } else if (HEALTH_TYPES.restingHR.includes(type)) {
-      data.restingHR.push({
-        date: r.startDate,
-        bpm: parseFloat(r.value),
-        source: r.sourceName
-      });
-    } else if (HEALTH_TYPES.steps.includes(type)) {
-      data.steps.push({
-        date: r.startDate,
-        count: parseFloat(r.value),
-        source: r.sourceName
-      });
-    } else if (HEALTH_TYPES.activeEnergy.includes(type)) {
-      data.activeEnergy.push({
-        date: r.startDate,
-        kcal: parseFloat(r.value),
-        source: r.sourceName
-      });
-    } else if (HEALTH_TYPES.bodyMass.includes(type)) {
-      data.bodyMass.push({
-        date: r.startDate,
-        kg: parseFloat(r.value),
-        source: r.sourceName
-      });
-    } else if (HEALTH_TYPES.respiratoryRate.includes(type)) {
-      data.respiratoryRate.push({
-        date: r.startDate,
-        brpm: parseFloat(r.value),
-        source: r.sourceName
+  return collector.finish();
+}
+
+export function extractHealthData(records, workouts, options = {}) {
+  const collector = createHealthCollector(options);
+  for (const r of records) collector.addRecord(r);
+  for (const w of workouts) collector.addWorkout(w);
+  return collector.finish();
+}
+
+/**
+ * Incremental form of extractHealthData: feed raw Record/Workout attributes in
+ * one at a time, then finish() to get the healthData object. Intraday samples
+ * go straight into daily accumulators, so memory grows with days, not records.
+ *
+ * Importers for other vendors feed already-normalized entries instead:
+ *   addSample(metric, { date, <field>, source })  e.g. ('steps', { date, count })
+ *   addSleepStage({ start, end, stage, source })  stage: inBed|asleep|core|deep|rem|awake
+ *   addSleepSession(night)                        a night already in sample-data shape
+ *   addSleepSummary(summary)                      a vendor's nightly summary, see summarizeSleepNight
+ *   addActivity({ type, start, end, durationMin, calories, distance, avgHR, source })  kcal, km
+ *
+ * Where devices overlap, finish() keeps one source per hour, night and workout
+ * according to options.sourcePriority. Days are local calendar days: each
+ * record's own UTC offset, else options.timeZone.
+ *
+ * options.incremental (from store.planImport) re-imports only what's new:
+ * entries dated before their source's entry in `cutoffs` are skipped and
+ * counted in `skipped`; every source seen is added to `sources`, and
+ * `watermarks` advances to the latest date seen per source.
+ */
+export function createHealthCollector({ sourcePriority, timeZone, incremental } = {}) {
+  const policy = createSourcePolicy(sourcePriority || DEFAULT_SOURCE_PRIORITY);
+  const zone = resolveTimeZone(timeZone);
+  const rollup = createDailyRollup(policy, zone);
+  const isNew = createImportGate(incremental, zone);
+  const sleepSamples = [];
+  const sleepSessions = [];
+  const workouts = [];
+
+  return {
+    addSample(metric, sample) {
+      if (isNew(sample.source, sample.date)) rollup.add(metric, sample);
+    },
+
+    addSleepStage(sample) {
+      if (isNew(sample.source, sample.start)) sleepSamples.push(sample);
+    },
+
+    addSleepSession(session) {
+      if (isNew(session.source, session.date)) sleepSessions.push(session);
+    },
+
+    addSleepSummary(summary) {
+      if (!isNew(summary.source, summary.start)) return;
+      const night = summarizeSleepNight(summary, zone);
+      if (night) sleepSessions.push(night);
+    },
+
+    addActivity(workout) {
+      if (isNew(workout.source, workout.start)) workouts.push(workout);
+    },
+
+    addRecord(r) {
+      const type = r.type;
+      if (!type || !isNew(r.sourceName, r.startDate)) return;
+
+      if (HEALTH_TYPES.sleep.includes(type)) {
+        sleepSamples.push({
+          start: r.startDate,
+          end: r.endDate,
+          value: r.value,
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.heartRate.includes(type)) {
+        rollup.add('heartRate', {
+          date: r.startDate,
+          bpm: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.hrv.includes(type)) {
+        rollup.add('hrv', {
+          date: r.startDate,
+          ms: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.spo2.includes(type)) {
+        rollup.add('spo2', {
+          date: r.startDate,
+          pct: parseFloat(r.value) * 100,
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.restingHR.includes(type)) {
+        rollup.add('restingHR', {
+          date: r.startDate,
+          bpm: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.steps.includes(type)) {
+        rollup.add('steps', {
+          date: r.startDate,
+          count: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.activeEnergy.includes(type)) {
+        rollup.add('activeEnergy', {
+          date: r.startDate,
+          kcal: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.bodyMass.includes(type)) {
+        rollup.add('bodyMass', {
+          date: r.startDate,
+          kg: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.respiratoryRate.includes(type)) {
+        rollup.add('respiratoryRate', {
+          date: r.startDate,
+          brpm: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.mindful.includes(type)) {
+        // A category sample: the session is its time span
+        const start = parseHealthDate(r.startDate, zone);
+        const end = parseHealthDate(r.endDate, zone);
+        if (!start || !end) return;
+        rollup.add('mindful', {
+          date: r.startDate,
+          minutes: (end.ms - start.ms) / 60000,
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.vo2Max.includes(type)) {
+        rollup.add('vo2Max', {
+          date: r.startDate,
+          mlKgMin: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.wristTemp.includes(type)) {
+        rollup.add('wristTemp', {
+          date: r.startDate,
+          celsius: toCelsius(r.value, r.unit),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.systolicBP.includes(type)) {
+        rollup.add('systolicBP', {
+          date: r.startDate,
+          mmHg: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.diastolicBP.includes(type)) {
+        rollup.add('diastolicBP', {
+          date: r.startDate,
+          mmHg: parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.glucose.includes(type)) {
+        rollup.add('glucose', {
+          date: r.startDate,
+          mgdl: toMgdl(r.value, r.unit),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.caffeine.includes(type)) {
+        rollup.add('caffeine', {
+          date: r.startDate,
+          mg: r.unit === 'g' ? parseFloat(r.value) * 1000 : parseFloat(r.value),
+          source: r.sourceName
+        });
+      } else if (HEALTH_TYPES.water.includes(type)) {
+        rollup.add('water', {
+          date: r.startDate,
+          ml: toMl(r.value, r.unit),
+          source: r.sourceName
+        });
+      }
+    },
+
+    addWorkout(w) {
+      if (!w.workoutActivityType || !isNew(w.sourceName, w.startDate)) return;
+      const stats = [].concat(w.WorkoutStatistics || []);
+      const stat = (type) => stats.find(st => st.type === `HKQuantityTypeIdentifier${type}`);
+      // iOS 16+ exports moved energy/distance totals into WorkoutStatistics children
+      const energy = w.totalEnergyBurned != null
+        ? toKcal(w.totalEnergyBurned, w.totalEnergyBurnedUnit)
+        : toKcal(stat('ActiveEnergyBurned')?.sum, stat('ActiveEnergyBurned')?.unit);
+      const distanceStat = stat('DistanceWalkingRunning') || stat('DistanceCycling') || stat('DistanceSwimming');
+      workouts.push({
+        type: w.workoutActivityType?.replace('HKWorkoutActivityType', ''),
+        start: w.startDate,
+        end: w.endDate,
+        duration: parseFloat(w.duration) || 0,
+        durationUnit: w.durationUnit || 'min',
+        calories: energy || 0,
+        distance: parseFloat(w.totalDistance ?? distanceStat?.sum) || 0,
+        avgHR: parseFloat(stat('HeartRate')?.average) || null,
+        source: w.sourceName
       });
+    },
+
+    finish() {
+      const daily = rollup.series(['heartRate', ...Object.keys(DAILY_ROLLUPS)]);
+      // Stage-built nights come first so they win ties with vendor summaries
+      // The night before a cutoff was only partly re-read (from midnight on); the stored one stands
+      const nights = [...buildSleepSessions(sleepSamples, { policy, timeZone: zone }), ...sleepSessions]
+        .filter(n => n.date && !(n.date < incremental?.cutoffs[n.source]))
+        .sort((a, b) => b.date.localeCompare(a.date));
+      return applySourcePriority({
+        sleep: nights,
+        heartRate: daily.heartRate,
+        hrv: daily.hrv,
+        steps: daily.steps,
+        spo2: daily.spo2,
+        restingHR: daily.restingHR,
+        activeEnergy: daily.activeEnergy,
+        bodyMass: daily.bodyMass,
+        respiratoryRate: daily.respiratoryRate,
+        mindful: daily.mindful,
+        vo2Max: daily.vo2Max,
+        wristTemp: daily.wristTemp,
+        systolicBP: daily.systolicBP,
+        diastolicBP: daily.diastolicBP,
+        glucose: daily.glucose,
+        caffeine: daily.caffeine,
+        water: daily.water,
+        workouts: enrichWorkouts(workouts, daily.heartRate, zone)
+      }, policy);
     }
+  };
+}
+
+// Incremental import filter: (source, timestamp) → keep?
+// Timestamps are bucketed by their YYYY-MM-DD prefix first, which is never more
+// than a day off the local date; only entries near the cutoff are fully parsed.
+// Nights run noon to noon from the day they start, so sleep needs no slack.
+function createImportGate(incremental, timeZone) {
+  if (!incremental) return () => true;
+  const { cutoffs, watermarks, sources } = incremental;
+  const windows = {};
+
+  return (source, value) => {
+    const day = String(value ?? '').slice(0, 10);
+    if (!DATE_PREFIX.test(day)) return true;
+    sources.add(source);
+    if (!(watermarks[source] >= day)) watermarks[source] = day;
+    const cutoff = cutoffs[source];
+    if (!cutoff) return true;
+
+    const { low, high } = windows[source] ||= { low: addDays(cutoff, -1), high: addDays(cutoff, 1) };
+    let keep = day >= high;
+    if (!keep && day >= low) {
+      const parsed = parseHealthDate(value, timeZone);
+      keep = !parsed || localParts(parsed.ms, parsed.offsetMin).date >= cutoff;
+    }
+    if (!keep) incremental.skipped++;
+    return keep;
+  };
+}
+
+/**
+ * Add the fields crossCorrelate keys on (date, hour, durationMin, isLate,
+ * isIntense) to raw workouts, newest first. Local date and hour come from the
+ * workout's own UTC offset, so "late" means after 7pm where it happened.
+ *
+ * Intensity uses the session's average heart rate — from the export's
+ * WorkoutStatistics, or else the hourly heart-rate buckets the session spans —
+ * and falls back to the activity type when no heart rate was recorded.
+ */
+export function enrichWorkouts(workouts, heartRate = [], timeZone = 'UTC') {
+  const hourlyHR = {};
+  for (const h of heartRate) hourlyHR[`${h.date}|${h.hour}`] = h.bpm;
+
+  return workouts.map(w => {
+    const start = parseHealthDate(w.start, timeZone);
+    if (!start) return w;
+    const end = parseHealthDate(w.end, timeZone);
+    const local = localParts(start.ms, start.offsetMin);
+
+    const durationMin = w.durationMin ?? (w.duration
+      ? toMinutes(w.duration, w.durationUnit)
+      : end ? (end.ms - start.ms) / 60000 : 0);
+
+    let avgHR = w.avgHR ?? null;
+    if (!avgHR && end) {
+      const spanned = [];
+      for (let t = start.ms; t < end.ms; t += HOUR_MS) {
+        const p = localParts(t, start.offsetMin);
+        const bpm = hourlyHR[`${p.date}|${Math.floor(p.hour)}`];
+        if (bpm) spanned.push(bpm);
+      }
+      avgHR = spanned.length ? Math.round(avg(spanned)) : null;
+    }
+
+    const intenseType = INTENSE_WORKOUT_TYPES.includes(w.type);
+    const isIntense = avgHR
+      ? avgHR >= (intenseType ? INTENSE_TYPE_HR_BPM : INTENSE_HR_BPM)
+      : intenseType;
+
+    return {
+      ...w,
+      date: local.date,
+      hour: round(local.hour, 1),
+      durationMin: Math.round(durationMin),
+      calories: Math.round(w.calories || 0),
+      avgHR,
+      isLate: local.hour >= LATE_WORKOUT_HOUR,
+      isIntense
+    };
+  }).sort((a, b) => String(b.date).localeCompare(String(a.date)) || String(b.start).localeCompare(String(a.start)));
+}
+
+function toMinutes(value, unit = 'min') {
+  const n = parseFloat(value) || 0;
+  if (unit === 's' || unit === 'sec') return n / 60;
+  if (unit === 'hr' || unit === 'h') return n * 60;
+  return n;
+}
+
+function toKcal(value, unit = 'kcal') {
+  const n = parseFloat(value);
+  if (!Number.isFinite(n)) return null;
+  return unit === 'kJ' ? n / 4.184 : n;
+}
+
+function toCelsius(value, unit = 'degC') {
+  const n = parseFloat(value);
+  return unit === 'degF' ? (n - 32) * 5 / 9 : n;
+}
+
+// Glucose comes as mg/dL or "mmol<180.15588000005408>/L" (the molar mass is part of the unit)
+function toMgdl(value, unit = 'mg/dL') {
+  const n = parseFloat(value);
+  return String(unit).startsWith('mmol') ? n * 18.0156 : n;
+}
+
+function toMl(value, unit = 'mL') {
+  const n = parseFloat(value);
+  if (unit === 'L') return n * 1000;
+  if (unit === 'fl_oz_us') return n * 29.5735;
+  if (unit === 'fl_oz_imp') return n * 28.4131;
+  return n;
+}
+
+/**
+ * Group raw sleep-stage samples into one session per night, in the same shape
+ * generateSampleData produces (newest night first).
+ *
+ * A night runs noon to noon in the sample's local time and is labelled with the
+ * date it started on, so a 00:30 bedtime belongs to the previous evening and
+ * reports bedtimeHour 24.5. When several sources recorded the same night, the
+ * preferred source wins, then the one with stage data (Core/Deep/REM) and the
+ * most time asleep; overlapping samples within that source are merged so
+ * nothing is counted twice.
+ */
+export function buildSleepSessions(samples, { policy = createSourcePolicy(), timeZone = 'UTC' } = {}) {
+  const nights = {};
+
+  for (const s of samples) {
+    const start = parseHealthDate(s.start, timeZone);
+    const end = parseHealthDate(s.end, timeZone);
+    const stage = s.stage || SLEEP_STAGES[s.value];
+    if (!start || !end || !stage || end.ms <= start.ms) continue;
+
+    const night = localParts(start.ms - 12 * HOUR_MS, start.offsetMin).date;
+    const source = s.source || 'unknown';
+    nights[night] ??= {};
+    nights[night][source] ??= [];
+    nights[night][source].push({ start: start.ms, end: end.ms, offsetMin: start.offsetMin, stage });
   }
 
-  for (const w of workouts) {
-    if (!w.workoutActivityType) continue;
-    data.workouts.push({
-      type: w.workoutActivityType?.replace('HKWorkoutActivityType', ''),
-      start: w.startDate,
-      end: w.endDate,
-      duration: parseFloat(w.duration) || 0,
-      calories: parseFloat(w.totalEnergyBurned) || 0,
-      distance: parseFloat(w.totalDistance) || 0,
-      source: w.sourceName
+  const sessions = [];
+  for (const [night, bySource] of Object.entries(nights)) {
+    const candidates = Object.entries(bySource)
+      .map(([source, stageSamples]) => ({ source, ...summarizeSleepBlock(mainSleepBlock(stageSamples)) }))
+      .filter(c => c.totalMs > 0)
+      .sort((a, b) => (policy.rank(a.source, 'sleep') - policy.rank(b.source, 'sleep'))
+        || (b.staged - a.staged) || (b.asleepMs - a.asleepMs));
+    if (!candidates.length) continue;
+
+    const best = candidates[0];
+    const startLocal = localParts(best.start, best.offsetMin);
+    const bedtimeHour = startLocal.hour + (startLocal.date > night ? 24 : 0);
+    const deepPct = best.staged ? best.deepMs / best.asleepMs : null;
+    const remPct = best.staged ? best.remMs / best.asleepMs : null;
+
+    sessions.push({
+      date: night,
+      start: new Date(best.start).toISOString(),
+      end: new Date(best.end).toISOString(),
+      durationHours: round(best.totalMs / HOUR_MS, 2),
+      deepSleepPct: deepPct === null ? null : round(deepPct, 2),
+      remSleepPct: remPct === null ? null : round(remPct, 2),
+      lightSleepPct: deepPct === null ? null : round(1 - deepPct - remPct, 2),
+      bedtimeHour: round(bedtimeHour, 1),
+      source: best.source
     });
   }
 
-  return data;
+  return sessions.sort((a, b) => b.date.localeCompare(a.date));
 }
 
 /**
- * Generate realistic sample data for demos
+ * Turn a vendor's nightly sleep summary (Oura, Whoop, Fitbit "classic" logs)
+ * into the same night shape buildSleepSessions emits. Durations in minutes;
+ * deep/REM may be omitted when the device doesn't stage sleep. Times without
+ * a UTC offset are read in `timeZone`.
  */
-export function generateSampleData(days = 90) {
+export function summarizeSleepNight({ start, end, asleepMin, deepMin, remMin, source }, timeZone = 'UTC') {
+  const from = parseHealthDate(start, timeZone);
+  const to = parseHealthDate(end, timeZone);
+  if (!from || !to || to.ms <= from.ms) return null;
+
+  const night = localParts(from.ms - 12 * HOUR_MS, from.offsetMin).date;
+  const startLocal = localParts(from.ms, from.offsetMin);
+  const totalMin = asleepMin || (to.ms - from.ms) / 60000;
+  const staged = Number.isFinite(deepMin) && Number.isFinite(remMin) && totalMin > 0;
+  const deepPct = staged ? deepMin / totalMin : null;
+  const remPct = staged ? remMin / totalMin : null;
+
+  return {
+    date: night,
+    start: new Date(from.ms).toISOString(),
+    end: new Date(to.ms).toISOString(),
+    durationHours: round(totalMin / 60, 2),
+    deepSleepPct: staged ? round(deepPct, 2) : null,
+    remSleepPct: staged ? round(remPct, 2) : null,
+    lightSleepPct: staged ? round(1 - deepPct - remPct, 2) : null,
+    bedtimeHour: round(startLocal.hour + (startLocal.date > night ? 24 : 0), 1),
+    source
+  };
+}
+
+// Split a night's samples into blocks separated by long gaps and keep the one
+// with the most sleep, so an afternoon nap doesn't stretch the night.
+function mainSleepBlock(stageSamples) {
+  const sorted = [...stageSamples].sort((a, b) => a.start - b.start);
+  const blocks = [];
+  let current = [];
+  let currentEnd = -Infinity;
+  for (const s of sorted) {
+    if (current.length && s.start - currentEnd > SLEEP_BLOCK_GAP_MS) {
+      blocks.push(current);
+      current = [];
+    }
+    current.push(s);
+    currentEnd = Math.max(currentEnd, s.end);
+  }
+  if (current.length) blocks.push(current);
+
+  return blocks.reduce((best, block) => {
+    const asleep = intervalLength(block.filter(s => ASLEEP_STAGES.includes(s.stage)));
+    return asleep > best.asleep ? { block, asleep } : best;
+  }, { block: blocks[0] || [], asleep: -1 }).block;
+}
+
+function summarizeSleepBlock(block) {
+  const ofStage = (...stages) => block.filter(s => stages.includes(s.stage));
+  const asleepMs = intervalLength(ofStage(...ASLEEP_STAGES));
+  const inBedMs = intervalLength(ofStage('inBed'));
+  return {
+    start: Math.min(...block.map(s => s.start)),
+    end: Math.max(...block.map(s => s.end)),
+    offsetMin: block[0]?.offsetMin || 0,
+    staged: ofStage('core', 'deep', 'rem').length > 0,
+    asleepMs,
+    deepMs: intervalLength(ofStage('deep')),
+    remMs: intervalLength(ofStage('rem')),
+    // Without any asleep samples (e.g. iPhone bedtime tracking only) time in bed is all we have
+    totalMs: asleepMs || inBedMs
+  };
+}
+
+// Total covered time of possibly overlapping intervals
+function intervalLength(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  let total = 0;
+  let curStart = null, curEnd = null;
+  for (const { start, end } of sorted) {
+    if (curEnd === null || start > curEnd) {
+      if (curEnd !== null) total += curEnd - curStart;
+      curStart = start;
+      curEnd = end;
+    } else {
+      curEnd = Math.max(curEnd, end);
+    }
+  }
+  if (curEnd !== null) total += curEnd - curStart;
+  return total;
+}
+
+/**
+ * Roll intraday samples up into day-level series keyed by local calendar date
+ * (newest first), the shape computeStats and crossCorrelate expect.
+ *
+ * Steps and active energy are summed, HRV and the other vitals averaged, body
+ * mass takes the day's last weigh-in. Heart rate becomes hourly averages, and
+ * days without a RestingHeartRate record fall back to the lowest hourly
+ * average. Already-daily input (e.g. sample data) passes through unchanged.
+ *
+ * Overlapping devices are de-duplicated hour by hour: within each hour only
+ * the preferred source's samples count, so a Watch and an iPhone carried
+ * together don't double the step count, while hours only the iPhone saw
+ * (Watch on the charger) still do. Each day records the source that won most
+ * of its hours, plus `sources` when more than one contributed.
+ */
+export function aggregateDaily(data, { policy = createSourcePolicy(), timeZone = 'UTC' } = {}) {
+  const metrics = Object.keys(data).filter(k => k === 'heartRate' || DAILY_ROLLUPS[k]);
+  const rollup = createDailyRollup(policy, timeZone);
+  for (const metric of metrics) {
+    for (const r of data[metric]) rollup.add(metric, r);
+  }
+  return { ...data, ...rollup.series(metrics) };
+}
+
+function createDailyRollup(policy, timeZone) {
+  // metric → date → hour → source → accumulator
+  const days = {};
+
+  return {
+    add(metric, r) {
+      const when = parseHealthDate(r.date || r.start, timeZone);
+      if (!when) return;
+      const local = localParts(when.ms, when.offsetMin);
+      const source = r.source || 'unknown';
+      const field = metric === 'heartRate' ? 'bpm' : DAILY_ROLLUPS[metric].field;
+      const value = r[field];
+      if (!Number.isFinite(value)) return;
+
+      // Already-bucketed heart rate carries its hour; a bare date would otherwise land on 00:00
+      const hour = metric === 'heartRate' && Number.isFinite(r.hour) ? r.hour : Math.floor(local.hour);
+      const hours = (days[metric] ??= {})[local.date] ??= {};
+      const acc = (hours[hour] ??= {})[source] ??= { sum: 0, count: 0, last: null, lastMs: -Infinity };
+      acc.sum += value;
+      acc.count++;
+      if (when.ms >= acc.lastMs) {
+        acc.last = value;
+        acc.lastMs = when.ms;
+      }
+    },
+
+    series(metrics) {
+      const out = {};
+      for (const metric of metrics) {
+        if (metric === 'heartRate') continue;
+        const rule = DAILY_ROLLUPS[metric];
+        out[metric] = Object.entries(days[metric] || {}).map(([date, hours]) => {
+          const { winners, sources } = preferredPerHour(Object.values(hours), metric, policy);
+          const sum = winners.reduce((t, w) => t + w.sum, 0);
+          const count = winners.reduce((t, w) => t + w.count, 0);
+          const last = winners.reduce((a, b) => (b.lastMs >= a.lastMs ? b : a)).last;
+          const value = rule.reduce === 'sum' ? sum : rule.reduce === 'last' ? last : sum / count;
+          const record = { date, [rule.field]: round(value, rule.decimals) };
+          if (rule.lateField) {
+            const late = Object.entries(hours)
+              .filter(([hour]) => Number(hour) >= rule.lateHour)
+              .map(([hour, bySource]) => bySource[policy.pick(Object.keys(bySource), metric)]);
+            record[rule.lateField] = round(late.reduce((t, w) => t + w.sum, 0), rule.decimals);
+          }
+          return withSources(record, sources);
+        });
+      }
+
+      if (metrics.includes('heartRate')) {
+        out.heartRate = [];
+        for (const [date, hours] of Object.entries(days.heartRate || {})) {
+          for (const [hour, bySource] of Object.entries(hours)) {
+            const source = policy.pick(Object.keys(bySource), 'heartRate');
+            const acc = bySource[source];
+            out.heartRate.push({ date, hour: Number(hour), bpm: Math.round(acc.sum / acc.count), source });
+          }
+        }
+        out.heartRate.sort((a, b) => b.date.localeCompare(a.date) || b.hour - a.hour);
+
+        if (out.restingHR) {
+          const restingDays = new Set(out.restingHR.map(r => r.date));
+          const lowestHourly = {};
+          for (const h of out.heartRate) {
+            if (restingDays.has(h.date)) continue;
+            if (!lowestHourly[h.date] || h.bpm < lowestHourly[h.date].bpm) lowestHourly[h.date] = h;
+          }
+          out.restingHR.push(...Object.values(lowestHourly)
+            .map(h => ({ date: h.date, bpm: h.bpm, source: h.source, derived: 'lowestHourlyHR' })));
+        }
+      }
+
+      for (const metric of Object.keys(out)) {
+        if (metric !== 'heartRate') out[metric].sort((a, b) => b.date.localeCompare(a.date));
+      }
+      return out;
+    }
+  };
+}
+
+// Keep the preferred source's accumulator in each hour; count how many hours each source won
+function preferredPerHour(hours, metric, policy) {
+  const winners = [];
+  const sources = {};
+  for (const bySource of hours) {
+    const source = policy.pick(Object.keys(bySource), metric);
+    winners.push(bySource[source]);
+    sources[source] = (sources[source] || 0) + 1;
+  }
+  return { winners, sources };
+}
+
+// source = the source that won most hours; sources lists all winners when several did
+function withSources(record, hoursWon) {
+  const ranked = Object.entries(hoursWon).sort((a, b) => b[1] - a[1]).map(([source]) => source);
+  record.source = ranked[0];
+  if (ranked.length > 1) record.sources = ranked;
+  return record;
+}
+
+/**
+ * Generate realistic sample data for demos, dated in the user's local days
+ */
+export function generateSampleData(days = 90, { timeZone } = {}) {
+  const zone = resolveTimeZone(timeZone);
   const data = {
     sleep: [],
     heartRate: [],
@@ -159,36 +822,44 @@ export function generateSampleData(days = 90) {
     activeEnergy: [],
     workouts: [],
     bodyMass: [],
-    respiratoryRate: []
+    respiratoryRate: [],
+    mindful: [],
+    vo2Max: [],
+    wristTemp: [],
+    systolicBP: [],
+    diastolicBP: [],
+    glucose: [],
+    caffeine: [],
+    water: []
   };
 
-  const now = new Date();
+  const today = localDate(zone);
 
   for (let d = 0; d < days; d++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - d);
-    const dateStr = date.toISOString().split('T')[0];
+    const dateStr = addDays(today, -d);
 
     // Day-of-week patterns (weekends = later bedtime, more sleep)
-    const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+    const isWeekend = dayOfWeek(dateStr) === 0 || dayOfWeek(dateStr) === 6;
     const dayVariance = Math.random() * 0.4 - 0.2;
 
     // Gradual trend: sleep quality declining slightly over time (for trend agent to catch)
     const trendFactor = d > 45 ? 0 : (d - 45) * 0.005;
 
+    // Afternoon coffee costs some deep sleep; meditation helps HRV
+    const lateCaffeine = Math.random() > 0.65;
+    const meditated = Math.random() > 0.6;
+
     // Sleep
     const bedtimeHour = isWeekend ? 23.5 + Math.random() * 1.5 : 22.5 + Math.random() * 1;
     const sleepHours = (isWeekend ? 8.2 : 7.1) + dayVariance + trendFactor;
-    const deepPct = 0.15 + Math.random() * 0.1 + trendFactor * 0.5;
+    const deepPct = 0.15 + Math.random() * 0.1 + trendFactor * 0.5 - (lateCaffeine ? 0.03 : 0);
     const remPct = 0.2 + Math.random() * 0.08;
-    const sleepStart = new Date(date);
-    sleepStart.setHours(Math.floor(bedtimeHour), (bedtimeHour % 1) * 60, 0);
-    const sleepEnd = new Date(sleepStart.getTime() + sleepHours * 3600000);
+    const sleepStart = zonedTime(dateStr, bedtimeHour, zone);
 
     data.sleep.push({
       date: dateStr,
-      start: sleepStart.toISOString(),
-      end: sleepEnd.toISOString(),
+      start: formatHealthDate(sleepStart.ms, sleepStart.offsetMin),
+      end: formatHealthDate(sleepStart.ms + sleepHours * HOUR_MS, sleepStart.offsetMin),
       durationHours: Math.round(sleepHours * 100) / 100,
       deepSleepPct: Math.round(deepPct * 100) / 100,
       remSleepPct: Math.round(remPct * 100) / 100,
@@ -207,12 +878,11 @@ export function generateSampleData(days = 90) {
 
     if (workedOut) {
       const workoutDuration = isIntense ? 30 + Math.random() * 40 : 20 + Math.random() * 50;
-      const workoutStart = new Date(date);
-      workoutStart.setHours(Math.floor(workoutHour), (workoutHour % 1) * 60, 0);
+      const workoutStart = zonedTime(dateStr, workoutHour, zone);
       data.workouts.push({
         date: dateStr,
         type: workoutType,
-        start: workoutStart.toISOString(),
+        start: formatHealthDate(workoutStart.ms, workoutStart.offsetMin),
         durationMin: Math.round(workoutDuration),
         calories: Math.round(isIntense ? 300 + Math.random() * 400 : 100 + Math.random() * 200),
         hour: Math.round(workoutHour * 10) / 10,
@@ -249,9 +919,10 @@ export function generateSampleData(days = 90) {
     const hrvSleepPenalty = sleepHours < 7 ? -12 : 0;
     const hrvWorkoutPenalty = lateWorkout && isIntense ? -15 : 0;
     const hrvTrend = d > 45 ? 0 : (d - 45) * 0.15; // declining HRV trend
+    const hrvMindfulBonus = meditated ? 4 : 0;
     data.hrv.push({
       date: dateStr,
-      ms: Math.round(Math.max(15, baseHRV + hrvSleepPenalty + hrvWorkoutPenalty + hrvTrend)),
+      ms: Math.round(Math.max(15, baseHRV + hrvSleepPenalty + hrvWorkoutPenalty + hrvTrend + hrvMindfulBonus)),
       source: 'Apple Watch'
     });
 
@@ -293,6 +964,48 @@ export function generateSampleData(days = 90) {
         source: 'Withings Scale'
       });
     }
+
+    // Caffeine — morning coffee, sometimes another after 2pm
+    const morningMg = 80 + Math.random() * 120;
+    const lateMg = lateCaffeine ? 60 + Math.random() * 60 : 0;
+    data.caffeine.push({
+      date: dateStr,
+      mg: Math.round(morningMg + lateMg),
+      mgAfter2pm: Math.round(lateMg),
+      source: 'iPhone'
+    });
+
+    // Water
+    data.water.push({
+      date: dateStr,
+      ml: Math.round(1500 + Math.random() * 1300),
+      source: 'iPhone'
+    });
+
+    // Mindfulness
+    if (meditated) {
+      data.mindful.push({
+        date: dateStr,
+        minutes: Math.round(5 + Math.random() * 15),
+        source: 'Apple Watch'
+      });
+    }
+
+    // Sleeping wrist temperature
+    data.wristTemp.push({
+      date: dateStr,
+      celsius: Math.round((35.8 + Math.random() * 0.5 - 0.25) * 100) / 100,
+      source: 'Apple Watch'
+    });
+
+    // VO2 max (weekly, slowly improving)
+    if (d % 7 === 3) {
+      data.vo2Max.push({
+        date: dateStr,
+        mlKgMin: Math.round((42 - d * 0.015 + Math.random() * 0.6) * 10) / 10,
+        source: 'Apple Watch'
+      });
+    }
   }
 
   return data;
@@ -383,9 +1096,97 @@ export function computeStats(data) {
     };
   }
 
+  if (data.caffeine?.length) {
+    const late = data.caffeine.map(c => c.mgAfter2pm || 0);
+    stats.caffeine = {
+      days: data.caffeine.length,
+      avgDaily: Math.round(avg(data.caffeine.map(c => c.mg))),
+      avgAfter2pm: Math.round(avg(late)),
+      daysWithLateCaffeine: late.filter(v => v > 0).length
+    };
+  }
+
+  if (data.water?.length) {
+    const vals = data.water.map(w => w.ml);
+    stats.water = {
+      avgDaily: Math.round(avg(vals)),
+      daysBelow1500: vals.filter(v => v < 1500).length
+    };
+  }
+
+  if (data.mindful?.length) {
+    const vals = data.mindful.map(m => m.minutes);
+    stats.mindful = {
+      daysWithSession: data.mindful.length,
+      avgMinutes: avg(vals),
+      last7days: data.mindful.filter(m => m.date >= addDays(data.mindful[0].date, -6)).length
+    };
+  }
+
+  if (data.vo2Max?.length) {
+    const vals = data.vo2Max.map(v => v.mlKgMin);
+    stats.vo2Max = {
+      count: vals.length,
+      latest: vals[0],
+      earliest: vals[vals.length - 1],
+      change: round(vals[0] - vals[vals.length - 1], 1)
+    };
+  }
+
+  if (data.wristTemp?.length) {
+    const vals = data.wristTemp.map(t => t.celsius);
+    const baseline = avg(vals);
+    stats.wristTemp = {
+      baseline: round(baseline, 2),
+      last7avg: round(avg(vals.slice(0, 7)), 2),
+      // Apple flags nights this far off the personal baseline
+      nightsAboveBaseline: vals.filter(v => v - baseline >= 0.5).length
+    };
+  }
+
+  if (data.systolicBP?.length && data.diastolicBP?.length) {
+    const diastolicByDate = Object.fromEntries(data.diastolicBP.map(d => [d.date, d.mmHg]));
+    const readings = data.systolicBP.filter(s => diastolicByDate[s.date] !== undefined);
+    stats.bloodPressure = {
+      days: readings.length,
+      avgSystolic: Math.round(avg(data.systolicBP.map(s => s.mmHg))),
+      avgDiastolic: Math.round(avg(data.diastolicBP.map(d => d.mmHg))),
+      // Stage 1 hypertension threshold (ACC/AHA): 130 systolic or 80 diastolic
+      elevatedDays: readings.filter(s => s.mmHg >= 130 || diastolicByDate[s.date] >= 80).length
+    };
+  }
+
+  if (data.glucose?.length) {
+    const vals = data.glucose.map(g => g.mgdl);
+    stats.glucose = {
+      days: vals.length,
+      avg: Math.round(avg(vals)),
+      min: Math.min(...vals),
+      max: Math.max(...vals)
+    };
+  }
+
+  stats.sources = summarizeSources(data);
+
   return stats;
 }
 
+// Which devices each metric's records came from, most-used first: { steps: [{ source, records }] }
+function summarizeSources(data) {
+  const out = {};
+  for (const [metric, records] of Object.entries(data)) {
+    const counts = {};
+    for (const r of records) {
+      for (const source of r.sources || [r.source]) {
+        if (source) counts[source] = (counts[source] || 0) + 1;
+      }
+    }
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (ranked.length) out[metric] = ranked.map(([source, n]) => ({ source, records: n }));
+  }
+  return out;
+}
+
 /**
  * Cross-correlate data for the cross-source agent
  */
@@ -403,6 +1204,8 @@ export function crossCorrelate(data) {
     days[w.date].workout = w;
   }
   for (const s of data.steps) days[s.date] = { ...days[s.date], steps: s };
+  for (const c of data.caffeine || []) days[c.date] = { ...days[c.date], caffeine: c };
+  for (const m of data.mindful || []) days[m.date] = { ...days[m.date], mindful: m };
 
   const dates = Object.keys(days).sort().reverse();
 
@@ -488,7 +1291,7 @@ export function crossCorrelate(data) {
   const goodDeepDays = [];
   for (const date of dates) {
     const day = days[date];
-    if (!day?.sleep || !day?.spo2) continue;
+    if (!day?.sleep || !day?.spo2 || day.sleep.deepSleepPct == null) continue;
     if (day.sleep.deepSleepPct < 0.13) {
       lowDeepDays.push({ spo2: day.spo2.pct, deep: day.sleep.deepSleepPct });
     } else {
@@ -514,6 +1317,68 @@ export function crossCorrelate(data) {
     });
   }
 
+  // Caffeine after 2pm → deep sleep that night (nights are labelled with the evening's date)
+  const lateCaffeineNights = [];
+  const noLateCaffeineNights = [];
+  for (const date of dates) {
+    const day = days[date];
+    if (!day?.caffeine || !day?.sleep || day.sleep.deepSleepPct == null) continue;
+    if ((day.caffeine.mgAfter2pm || 0) >= 50) {
+      lateCaffeineNights.push({ deep: day.sleep.deepSleepPct, sleep: day.sleep.durationHours, mg: day.caffeine.mgAfter2pm });
+    } else if (!day.caffeine.mgAfter2pm) {
+      noLateCaffeineNights.push({ deep: day.sleep.deepSleepPct, sleep: day.sleep.durationHours });
+    }
+  }
+
+  if (lateCaffeineNights.length >= 3 && noLateCaffeineNights.length >= 3) {
+    const lateDeep = avg(lateCaffeineNights.map(d => d.deep));
+    const noLateDeep = avg(noLateCaffeineNights.map(d => d.deep));
+    const deepDiff = (noLateDeep - lateDeep) * 100;
+    correlations.push({
+      id: 'caffeine_deep_sleep',
+      type: 'cross_source',
+      sources: ['caffeine', 'sleep'],
+      finding: `Days with caffeine after 2pm are followed by ${deepDiff.toFixed(1)} points less deep sleep that night`,
+      data: {
+        lateCaffeineNights: lateCaffeineNights.length,
+        noLateCaffeineNights: noLateCaffeineNights.length,
+        avgLateMg: Math.round(avg(lateCaffeineNights.map(d => d.mg))),
+        deepSleepAfterLate: Math.round(lateDeep * 100),
+        deepSleepNormal: Math.round(noLateDeep * 100),
+        sleepAfterLate: Math.round(avg(lateCaffeineNights.map(d => d.sleep)) * 100) / 100,
+        sleepNormal: Math.round(avg(noLateCaffeineNights.map(d => d.sleep)) * 100) / 100
+      },
+      severity: deepDiff > 3 ? 'high' : deepDiff > 1.5 ? 'medium' : 'low'
+    });
+  }
+
+  // Mindfulness → same-day HRV
+  if (data.mindful?.length) {
+    const mindfulHRV = [];
+    const otherHRV = [];
+    for (const date of dates) {
+      const day = days[date];
+      if (!day?.hrv) continue;
+      (day.mindful ? mindfulHRV : otherHRV).push(day.hrv.ms);
+    }
+    if (mindfulHRV.length >= 3 && otherHRV.length >= 3) {
+      const diff = avg(mindfulHRV) - avg(otherHRV);
+      correlations.push({
+        id: 'mindfulness_hrv',
+        type: 'cross_source',
+        sources: ['mindful', 'hrv'],
+        finding: `Days with a mindfulness session show HRV ${Math.abs(diff).toFixed(0)}ms ${diff >= 0 ? 'higher' : 'lower'} than days without`,
+        data: {
+          mindfulDays: mindfulHRV.length,
+          otherDays: otherHRV.length,
+          avgHRVMindful: Math.round(avg(mindfulHRV)),
+          avgHRVOther: Math.round(avg(otherHRV))
+        },
+        severity: Math.abs(diff) > 5 ? 'medium' : 'low'
+      });
+    }
+  }
+
   // Bedtime consistency → sleep quality
   const bedtimes = data.sleep.slice(0, 30).map(s => s.bedtimeHour);
   const bedtimeStdDev = stdDev(bedtimes);
@@ -591,8 +1456,15 @@ export function crossCorrelate(data) {
 
 // Helpers
 function avg(arr) {
-  if (!arr.length) return 0;
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
+  // Skip missing values (e.g. deep sleep % for nights recorded without stages)
+  const vals = arr.filter(Number.isFinite);
+  if (!vals.length) return 0;
+  return vals.reduce((a, b) => a + b, 0) / vals.length;
+}
+
+function round(n, decimals) {
+  const f = Math.pow(10, decimals);
+  return Math.round(n * f) / f;
 }
 
 function stdDev(arr) {
@@ -0,0 +1,17 @@
+/**
+ * Apple Health importer — export.zip or the export.xml inside it.
+ */
+
+import { streamAppleHealthExport } from '../health-parser.js';
+
+export const id = 'apple-health';
+export const name = 'Apple Health';
+
+export function detect({ kind, head, entries }) {
+  if (kind === 'zip') return entries.some(e => /^[^/]+\/export\.xml$/i.test(e));
+  return kind === 'text' && head.includes('<HealthData');
+}
+
+export function importFile(filePath, options) {
+  return streamAppleHealthExport(filePath, options);
+}
@@ -0,0 +1,125 @@
+/**
+ * Fitbit importer — the Google Takeout / "Export Your Account Archive" zip,
+ * reading the per-day JSON files under Global Export Data (or Physical
+ * Activity / Sleep in older archives) plus the daily HRV summary CSVs.
+ *
+ * Fitbit writes local wall-clock times without an offset, read in the
+ * timeZone option, and weight in the account's unit; pass weightUnit: 'lb'
+ * for accounts set to pounds.
+ */
+
+import { createHealthCollector } from '../health-parser.js';
+import { readZipEntries } from '../export-archive.js';
+import { readText, parseCsv, num } from './formats.js';
+
+export const id = 'fitbit';
+export const name = 'Fitbit';
+
+const SOURCE = 'Fitbit';
+const JSON_FILE = /(?:^|\/)(steps|heart_rate|resting_heart_rate|sleep|exercise|weight)-\d{4}-\d{2}-\d{2}\.json$/;
+const HRV_FILE = /Daily Heart Rate Variability Summary.*\.csv$/;
+
+// Fitbit sleep levels → collector stages
+const SLEEP_LEVELS = { wake: 'awake', awake: 'awake', restless: 'asleep', asleep: 'asleep', light: 'core', deep: 'deep', rem: 'rem' };
+
+const ACTIVITY_NAMES = {
+  Run: 'Running', Treadmill: 'Running', Bike: 'Cycling', 'Outdoor Bike': 'Cycling', Spinning: 'Cycling',
+  Walk: 'Walking', Hike: 'Hiking', Swim: 'Swimming', Weights: 'Strength', 'Interval Workout': 'HIIT',
+  Yoga: 'Yoga', Elliptical: 'Elliptical'
+};
+
+export function detect({ kind, entries }) {
+  return kind === 'zip' && entries.some(e => /Fitbit\//i.test(e) && JSON_FILE.test(e));
+}
+
+export async function importFile(filePath, { onProgress, weightUnit = 'kg', sourcePriority, timeZone, incremental } = {}) {
+  const collector = createHealthCollector({ sourcePriority, timeZone, incremental });
+  let files = 0;
+
+  await readZipEntries(filePath, name => JSON_FILE.test(name) || HRV_FILE.test(name), async (name, stream) => {
+    const text = await readText(stream);
+    if (HRV_FILE.test(name)) {
+      for (const row of parseCsv(text)) {
+        const ms = num(row.rmssd);
+        if (row.timestamp && ms) collector.addSample('hrv', { date: row.timestamp, ms, source: SOURCE });
+      }
+    } else {
+      addJsonFile(collector, name.match(JSON_FILE)[1], JSON.parse(text), weightUnit);
+    }
+    onProgress?.({ files: ++files });
+  });
+
+  return collector.finish();
+}
+
+function addJsonFile(collector, kind, entries, weightUnit) {
+  for (const e of entries) {
+    switch (kind) {
+      case 'steps':
+        collector.addSample('steps', { date: fitbitTime(e.dateTime), count: num(e.value), source: SOURCE });
+        break;
+      case 'heart_rate':
+        collector.addSample('heartRate', { date: fitbitTime(e.dateTime), bpm: num(e.value?.bpm), source: SOURCE });
+        break;
+      case 'resting_heart_rate':
+        // Days without enough wear are reported as 0
+        if (num(e.value?.value)) {
+          collector.addSample('restingHR', { date: fitbitTime(e.dateTime), bpm: num(e.value.value), source: SOURCE });
+        }
+        break;
+      case 'weight': {
+        const kg = weightUnit === 'lb' ? num(e.weight) * 0.45359237 : num(e.weight);
+        collector.addSample('bodyMass', { date: fitbitTime(`${e.date} ${e.time || '00:00:00'}`), kg, source: SOURCE });
+        break;
+      }
+      case 'exercise':
+        collector.addActivity({
+          type: ACTIVITY_NAMES[e.activityName] || e.activityName,
+          start: fitbitTime(e.startTime),
+          durationMin: (num(e.duration) || 0) / 60000,
+          calories: num(e.calories) || 0,
+          distance: num(e.distance) || 0,
+          avgHR: num(e.averageHeartRate),
+          source: SOURCE
+        });
+        break;
+      case 'sleep':
+        addSleepLog(collector, e);
+        break;
+    }
+  }
+}
+
+// Staged logs carry 30-second level samples; "classic" logs only a summary
+function addSleepLog(collector, log) {
+  const levels = log.levels?.data || [];
+  if (log.type === 'stages' && levels.length) {
+    for (const l of levels) {
+      // Level times are wall clock; do the arithmetic as if UTC and drop the Z again
+      const start = Date.parse(`${l.dateTime}Z`);
+      if (!SLEEP_LEVELS[l.level] || Number.isNaN(start)) continue;
+      collector.addSleepStage({
+        start: l.dateTime,
+        end: new Date(start + l.seconds * 1000).toISOString().slice(0, -1),
+        stage: SLEEP_LEVELS[l.level],
+        source: SOURCE
+      });
+    }
+    return;
+  }
+  if (log.mainSleep === false) return;
+  collector.addSleepSummary({
+    start: log.startTime,
+    end: log.endTime,
+    asleepMin: num(log.minutesAsleep),
+    source: SOURCE
+  });
+}
+
+// "03/01/24 07:05:00" → "2024-03-01 07:05:00" (local wall clock, no offset)
+function fitbitTime(value) {
+  const m = String(value || '').match(/^(\d{2})\/(\d{2})\/(\d{2,4})(?:\s+(\d{2}:\d{2}:\d{2}))?/);
+  if (!m) return value;
+  const [, mo, d, y, time = '00:00:00'] = m;
+  return `${y.length === 2 ? `20${y}` : y}-${mo}-${d} ${time}`;
+}
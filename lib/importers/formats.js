@@ -0,0 +1,68 @@
+/**
+ * Shared helpers for importers: reading streams and parsing CSV exports.
+ */
+
+export async function readText(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+export async function readBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row. Handles quoted fields
+ * with embedded commas, quotes and newlines, plus a leading BOM.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(r => r.some(v => v.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return body.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i]?.trim() ?? ''])));
+}
+
+// Numeric CSV/JSON value, or null when blank or non-numeric
+export function num(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
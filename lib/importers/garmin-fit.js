@@ -0,0 +1,73 @@
+/**
+ * Garmin importer — FIT activity files, one .fit or a zip of them (as in the
+ * Garmin Connect bulk export). Each session becomes a workout.
+ *
+ * Per-second records are left out: heart rate sampled only while exercising
+ * would skew the daily heart rate series and the resting HR fallback.
+ */
+
+import { readFileSync } from 'fs';
+import FitParser from 'fit-file-parser';
+import { createHealthCollector } from '../health-parser.js';
+import { isZipFile, readZipEntries } from '../export-archive.js';
+import { readBuffer } from './formats.js';
+
+export const id = 'garmin-fit';
+export const name = 'Garmin FIT';
+
+const SOURCE = 'Garmin';
+
+const SPORTS = {
+  running: 'Running', cycling: 'Cycling', swimming: 'Swimming', walking: 'Walking', hiking: 'Hiking',
+  rowing: 'Rowing', training: 'Strength', fitness_equipment: 'Elliptical', yoga: 'Yoga', hiit: 'HIIT'
+};
+
+export function detect({ kind, entries }) {
+  return kind === 'fit' || (kind === 'zip' && entries.some(e => /\.fit$/i.test(e)));
+}
+
+export async function importFile(filePath, { onProgress, sourcePriority, timeZone, incremental } = {}) {
+  const collector = createHealthCollector({ sourcePriority, timeZone, incremental });
+  let files = 0;
+
+  const ingest = async (buffer) => {
+    const fit = await new FitParser({ force: true, lengthUnit: 'km', mode: 'list' }).parseAsync(buffer);
+    addActivityFile(collector, fit);
+    onProgress?.({ files: ++files });
+  };
+
+  if (isZipFile(filePath)) {
+    await readZipEntries(filePath, name => /\.fit$/i.test(name), async (name, stream) => ingest(await readBuffer(stream)));
+  } else {
+    await ingest(readFileSync(filePath));
+  }
+
+  return collector.finish();
+}
+
+function addActivityFile(collector, fit) {
+  for (const s of fit.sessions || []) {
+    const start = toDate(s.start_time);
+    if (!start) continue;
+    const elapsed = s.total_elapsed_time ?? s.total_timer_time ?? 0;
+    collector.addActivity({
+      type: SPORTS[s.sport] || capitalize(s.sport || 'Other'),
+      start: start.toISOString(),
+      end: new Date(start.getTime() + elapsed * 1000).toISOString(),
+      durationMin: elapsed / 60,
+      calories: s.total_calories || 0,
+      distance: s.total_distance || 0,
+      avgHR: s.avg_heart_rate || null,
+      source: SOURCE
+    });
+  }
+}
+
+function toDate(value) {
+  const d = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
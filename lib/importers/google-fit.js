@@ -0,0 +1,94 @@
+/**
+ * Google Fit importer — Google Takeout "Fit/All Data" data-point JSON, either
+ * the whole Takeout zip or a single exported data-source file.
+ *
+ * Health Connect data is read in the same data-point format (what Fit sync
+ * and the Fit REST API write). Health Connect's own on-device export is an
+ * SQLite database and isn't supported here.
+ */
+
+import { readFileSync } from 'fs';
+import { createHealthCollector } from '../health-parser.js';
+import { isZipFile, readZipEntries } from '../export-archive.js';
+import { readText } from './formats.js';
+
+export const id = 'google-fit';
+export const name = 'Google Fit / Health Connect';
+
+const SOURCE = 'Google Fit';
+
+// com.google.sleep.segment sleepSegmentType → collector stage
+const SLEEP_SEGMENTS = { 1: 'awake', 2: 'asleep', 3: 'awake', 4: 'core', 5: 'deep', 6: 'rem' };
+
+// com.google.activity.segment activity codes worth reporting as workouts
+const ACTIVITIES = {
+  1: 'Cycling', 8: 'Running', 56: 'Running', 57: 'Running', 58: 'Running',
+  7: 'Walking', 93: 'Walking', 35: 'Hiking', 82: 'Swimming', 80: 'Strength',
+  113: 'CrossTraining', 114: 'HIIT', 100: 'Yoga', 103: 'Rowing', 24: 'Dancing'
+};
+const MIN_ACTIVITY_MIN = 10;
+
+export function detect({ kind, head, entries }) {
+  if (kind === 'zip') return entries.some(e => /Fit\/All Data\/.+\.json$/i.test(e));
+  return kind === 'text' && head.includes('"Data Points"') && head.includes('com.google.');
+}
+
+export async function importFile(filePath, { onProgress, sourcePriority, timeZone, incremental } = {}) {
+  const collector = createHealthCollector({ sourcePriority, timeZone, incremental });
+  let files = 0;
+
+  const ingest = (json) => {
+    for (const point of json['Data Points'] || []) addDataPoint(collector, point);
+    files++;
+    onProgress?.({ files });
+  };
+
+  if (!isZipFile(filePath)) {
+    ingest(JSON.parse(readFileSync(filePath, 'utf-8')));
+  } else {
+    await readZipEntries(filePath, name => /Fit\/All Data\/.+\.json$/i.test(name), async (name, stream) => {
+      ingest(JSON.parse(await readText(stream)));
+    });
+  }
+
+  return collector.finish();
+}
+
+function addDataPoint(collector, point) {
+  const start = nanosToISO(point.startTimeNanos);
+  const end = nanosToISO(point.endTimeNanos);
+  const value = point.fitValue?.[0]?.value || {};
+  const n = value.fpVal ?? value.intVal;
+  if (!start || n === undefined) return;
+
+  switch (point.dataTypeName) {
+    case 'com.google.step_count.delta':
+      collector.addSample('steps', { date: start, count: n, source: SOURCE });
+      break;
+    case 'com.google.heart_rate.bpm':
+      collector.addSample('heartRate', { date: start, bpm: n, source: SOURCE });
+      break;
+    case 'com.google.weight':
+      collector.addSample('bodyMass', { date: start, kg: n, source: SOURCE });
+      break;
+    case 'com.google.oxygen_saturation':
+      collector.addSample('spo2', { date: start, pct: n, source: SOURCE });
+      break;
+    case 'com.google.sleep.segment':
+      if (SLEEP_SEGMENTS[n]) collector.addSleepStage({ start, end, stage: SLEEP_SEGMENTS[n], source: SOURCE });
+      break;
+    case 'com.google.activity.segment': {
+      const durationMin = (Number(point.endTimeNanos) - Number(point.startTimeNanos)) / 6e10;
+      if (ACTIVITIES[n] && durationMin >= MIN_ACTIVITY_MIN) {
+        collector.addActivity({ type: ACTIVITIES[n], start, end, durationMin, calories: 0, distance: 0, source: SOURCE });
+      }
+      break;
+    }
+  }
+}
+
+function nanosToISO(nanos) {
+  if (nanos === undefined || nanos === null) return null;
+  const ms = Number(nanos) / 1e6;
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
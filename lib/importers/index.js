@@ -0,0 +1,70 @@
+/**
+ * Health Data Importers
+ * One importer per vendor export. Every importer resolves with the same
+ * healthData shape extractHealthData produces, so all agents work unchanged.
+ *
+ * An importer module exports:
+ *   id                      'apple-health', selectable via --format / ?format=
+ *   name                    human-readable label
+ *   detect(sniff)           true if it recognizes the sniffed file
+ *   importFile(path, opts)  → Promise<healthData>; opts.onProgress,
+ *                           opts.sourcePriority, opts.timeZone and
+ *                           opts.incremental are optional
+ *
+ * Importers build healthData through createHealthCollector, feeding it
+ * normalized samples, sleep stages/nights and activities.
+ */
+
+import { openSync, readSync, closeSync, statSync } from 'fs';
+import { isZipFile, listZipEntries } from '../export-archive.js';
+import * as appleHealth from './apple-health.js';
+import * as googleFit from './google-fit.js';
+import * as fitbit from './fitbit.js';
+import * as garminFit from './garmin-fit.js';
+import * as ouraWhoop from './oura-whoop.js';
+
+export const IMPORTERS = [appleHealth, googleFit, fitbit, garminFit, ouraWhoop];
+
+const SNIFF_BYTES = 4096;
+
+export function getImporter(id) {
+  return IMPORTERS.find(i => i.id === id) || null;
+}
+
+/**
+ * Peek at a file so importers can recognize it without reading it all:
+ * { kind: 'zip'|'fit'|'text', head, entries } — entries lists zip contents.
+ */
+export async function sniffFile(filePath) {
+  if (isZipFile(filePath)) {
+    return { kind: 'zip', head: '', entries: await listZipEntries(filePath) };
+  }
+  const fd = openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(Math.min(SNIFF_BYTES, statSync(filePath).size));
+    readSync(fd, buf, 0, buf.length, 0);
+    const kind = buf.length >= 12 && buf.toString('latin1', 8, 12) === '.FIT' ? 'fit' : 'text';
+    return { kind, head: kind === 'text' ? buf.toString('utf-8') : '', entries: [] };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+export async function detectImporter(filePath) {
+  const sniff = await sniffFile(filePath);
+  return IMPORTERS.find(i => i.detect(sniff)) || null;
+}
+
+/**
+ * Import any supported export. `format` forces an importer by id; otherwise
+ * the file is sniffed. Remaining options go to the importer.
+ */
+export async function importHealthData(filePath, { format, ...options } = {}) {
+  const importer = format ? getImporter(format) : await detectImporter(filePath);
+  if (!importer) {
+    throw new Error(format
+      ? `Unknown import format: ${format}. Supported: ${IMPORTERS.map(i => i.id).join(', ')}`
+      : `Unrecognized health export. Supported: ${IMPORTERS.map(i => i.name).join(', ')}`);
+  }
+  return importer.importFile(filePath, options);
+}
@@ -0,0 +1,124 @@
+/**
+ * Oura and Whoop importer — their CSV exports, as a single file or the zip
+ * Whoop hands out (physiological_cycles.csv, sleeps.csv, workouts.csv).
+ *
+ * Oura: the "trends" CSV from the membership hub (one row per day).
+ * Whoop: physiological_cycles.csv (one row per day incl. sleep) and
+ * workouts.csv. Both report HRV as RMSSD rather than Apple's SDNN.
+ */
+
+import { readFileSync } from 'fs';
+import { createHealthCollector } from '../health-parser.js';
+import { isZipFile, readZipEntries } from '../export-archive.js';
+import { readText, parseCsv, num } from './formats.js';
+
+export const id = 'oura-whoop';
+export const name = 'Oura / Whoop CSV';
+
+const CSV_FILE = /(physiological_cycles|workouts|trends)[^/]*\.csv$/i;
+
+export function detect({ kind, head, entries }) {
+  if (kind === 'zip') return entries.some(e => /physiological_cycles\.csv$/i.test(e));
+  if (kind !== 'text') return false;
+  const header = head.split(/\r?\n/)[0];
+  return isOura(header) || isWhoopCycles(header) || isWhoopWorkouts(header);
+}
+
+export async function importFile(filePath, { onProgress, sourcePriority, timeZone, incremental } = {}) {
+  const collector = createHealthCollector({ sourcePriority, timeZone, incremental });
+  let files = 0;
+
+  const ingest = (text) => {
+    const rows = parseCsv(text);
+    const header = Object.keys(rows[0] || {}).join(',');
+    if (isOura(header)) rows.forEach(r => addOuraDay(collector, r));
+    else if (isWhoopCycles(header)) rows.forEach(r => addWhoopCycle(collector, r));
+    else if (isWhoopWorkouts(header)) rows.forEach(r => addWhoopWorkout(collector, r));
+    onProgress?.({ files: ++files });
+  };
+
+  if (isZipFile(filePath)) {
+    await readZipEntries(filePath, name => CSV_FILE.test(name), async (name, stream) => ingest(await readText(stream)));
+  } else {
+    ingest(readFileSync(filePath, 'utf-8'));
+  }
+
+  return collector.finish();
+}
+
+const isOura = header => header.includes('Total Sleep Duration') && header.includes('Bedtime Start');
+const isWhoopCycles = header => header.includes('Cycle start time') && header.includes('Recovery score %');
+const isWhoopWorkouts = header => header.includes('Workout start time') && header.includes('Activity name');
+
+// Oura durations are in seconds; bedtimes are ISO with offset
+function addOuraDay(collector, row) {
+  const source = 'Oura';
+  const date = row.date;
+  collector.addSleepSummary({
+    start: row['Bedtime Start'],
+    end: row['Bedtime End'],
+    asleepMin: secondsToMin(row['Total Sleep Duration']),
+    deepMin: secondsToMin(row['Deep Sleep Duration']),
+    remMin: secondsToMin(row['REM Sleep Duration']),
+    source
+  });
+
+  const sample = (metric, field, value) => {
+    if (date && value !== null) collector.addSample(metric, { date, [field]: value, source });
+  };
+  sample('restingHR', 'bpm', num(row['Lowest Resting Heart Rate']) ?? num(row['Average Resting Heart Rate']));
+  sample('hrv', 'ms', num(row['Average HRV']));
+  sample('steps', 'count', num(row.Steps));
+  sample('activeEnergy', 'kcal', num(row['Activity Burn']));
+  sample('respiratoryRate', 'brpm', num(row['Respiratory Rate']));
+}
+
+// Whoop times are local wall clock with the zone in a separate column
+function addWhoopCycle(collector, row) {
+  const source = 'Whoop';
+  const tz = whoopOffset(row['Cycle timezone']);
+  collector.addSleepSummary({
+    start: row['Sleep onset'] && `${row['Sleep onset']} ${tz}`,
+    end: row['Wake onset'] && `${row['Wake onset']} ${tz}`,
+    asleepMin: num(row['Asleep duration (min)']),
+    deepMin: num(row['Deep (SWS) duration (min)']),
+    remMin: num(row['REM duration (min)']),
+    source
+  });
+
+  // A cycle's recovery metrics belong to the day it woke up on
+  const date = row['Wake onset'] ? `${row['Wake onset']} ${tz}` : row['Cycle start time'] && `${row['Cycle start time']} ${tz}`;
+  const sample = (metric, field, value) => {
+    if (date && value !== null) collector.addSample(metric, { date, [field]: value, source });
+  };
+  sample('restingHR', 'bpm', num(row['Resting heart rate (bpm)']));
+  sample('hrv', 'ms', num(row['Heart rate variability (ms)']));
+  sample('spo2', 'pct', num(row['Blood oxygen %']));
+  sample('respiratoryRate', 'brpm', num(row['Respiratory rate (rpm)']));
+}
+
+function addWhoopWorkout(collector, row) {
+  const tz = whoopOffset(row['Cycle timezone']);
+  if (!row['Workout start time']) return;
+  collector.addActivity({
+    type: row['Activity name'],
+    start: `${row['Workout start time']} ${tz}`,
+    end: row['Workout end time'] ? `${row['Workout end time']} ${tz}` : undefined,
+    durationMin: num(row['Duration (min)']) || 0,
+    calories: num(row['Energy burned (cal)']) || 0,
+    distance: (num(row['Distance (meters)']) || 0) / 1000,
+    avgHR: num(row['Average HR (bpm)']),
+    source: 'Whoop'
+  });
+}
+
+function secondsToMin(value) {
+  const n = num(value);
+  return n === null ? null : n / 60;
+}
+
+// "UTC-05:00" → "-0500"
+function whoopOffset(zone) {
+  const m = String(zone || '').match(/([+-])(\d{2}):?(\d{2})/);
+  return m ? `${m[1]}${m[2]}${m[3]}` : '+0000';
+}
@@ -0,0 +1,155 @@
+/**
+ * Proofi LLM Client
+ * Local LLM inference — data never leaves your machine
+ *
+ * One interface over the inference servers in lib/providers; which one, where
+ * and with which model comes from lib/config.js, and any option can be passed
+ * per call:
+ *   ollama    Ollama (/api/chat)
+ *   openai    any OpenAI-compatible server (/v1/chat/completions): vLLM, LM Studio, ...
+ *   llamacpp  llama.cpp's llama-server, native API (/completion)
+ *
+ * Every call resolves its options through resolveLLMConfig, so the loopback
+ * guard applies to each request however its config was put together.
+ *
+ * chat() and generate() also get:
+ *   - a time limit per attempt (timeoutMs), streaming included
+ *   - retries with backoff when the server answers 5xx or drops the
+ *     connection, unless part of the reply was already streamed
+ *   - a queue per server, so at most `concurrency` calls run at once
+ *   - cancellation through `signal`, whether queued, waiting to retry or running
+ */
+
+import { resolveLLMConfig } from './config.js';
+import * as ollama from './providers/ollama.js';
+import * as openai from './providers/openai.js';
+import * as llamacpp from './providers/llamacpp.js';
+
+const PROVIDERS = { ollama, openai, llamacpp };
+
+// Connection failures worth another attempt; undici reports them as err.cause.code
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'UND_ERR_SOCKET']);
+const BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 15000;
+
+// baseUrl → { active, waiting }: calls running against that server and those queued for a slot
+const queues = new Map();
+
+/**
+ * Send a chat and resolve with { content, model, usage } — `model` is the one
+ * the server says answered, which can differ from the requested name.
+ * With `onToken`, the reply is streamed and each piece passed to it as it arrives.
+ * `onQueued(position)` is called when the call has to wait for a slot, and
+ * `onRetry({ attempt, delayMs, error })` before each retry.
+ * Aborting `signal` rejects with its reason.
+ */
+export async function chat(messages, { json = false, onToken, signal, onQueued, onRetry, ...options } = {}) {
+  const config = resolveLLMConfig(options);
+  let streamed = false;
+  const tokens = onToken && ((piece) => {
+    streamed = true;
+    onToken(piece);
+  });
+  return resilient(config, { signal, onQueued, onRetry, canRetry: () => !streamed }, (callSignal) =>
+    PROVIDERS[config.provider].chat(messages, config, { json, onToken: tokens, signal: callSignal }));
+}
+
+export async function generate(prompt, { system = '', signal, onQueued, onRetry, ...options } = {}) {
+  const config = resolveLLMConfig(options);
+  return resilient(config, { signal, onQueued, onRetry }, (callSignal) =>
+    PROVIDERS[config.provider].generate(prompt, config, { system, signal: callSignal }));
+}
+
+/** Whether the server answers and has a model to run. Never throws on a network error. */
+export async function isAvailable(options = {}) {
+  const config = resolveLLMConfig(options);
+  return PROVIDERS[config.provider].isAvailable(config);
+}
+
+export async function listModels(options = {}) {
+  const config = resolveLLMConfig(options);
+  return PROVIDERS[config.provider].listModels(config, { signal: AbortSignal.timeout(config.timeoutMs) });
+}
+
+/** { name, startHint } of the configured provider, for status lines and errors. */
+export function describeProvider(options = {}) {
+  const { NAME, START_HINT } = PROVIDERS[resolveLLMConfig(options).provider];
+  return { name: NAME, startHint: START_HINT };
+}
+
+// Helpers
+
+// Wait for a slot, then run `request` until it succeeds, fails for good or is cancelled
+async function resilient(config, { signal, onQueued, onRetry, canRetry = () => true }, request) {
+  const release = await acquireSlot(config, signal, onQueued);
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const timeout = AbortSignal.timeout(config.timeoutMs);
+      try {
+        return await request(signal ? AbortSignal.any([signal, timeout]) : timeout);
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        if (timeout.aborted) {
+          const { NAME } = PROVIDERS[config.provider];
+          throw new Error(`${NAME} did not answer within ${config.timeoutMs / 1000}s (timeoutMs)`);
+        }
+        if (attempt >= config.retries || !isRetryable(err) || !canRetry()) throw err;
+
+        // Exponential, with jitter so queued calls don't all come back at once
+        const delayMs = Math.round(Math.min(MAX_BACKOFF_MS, BACKOFF_MS * 2 ** attempt) * (0.5 + Math.random() / 2));
+        onRetry?.({ attempt: attempt + 1, delayMs, error: err.message });
+        await sleep(delayMs, signal);
+      }
+    }
+  } finally {
+    release();
+  }
+}
+
+function isRetryable(err) {
+  return err.status >= 500 || RETRYABLE_CODES.has(err.cause?.code ?? err.code);
+}
+
+// Resolves with a release function once fewer than `concurrency` calls are running on the server
+function acquireSlot({ baseUrl, concurrency }, signal, onQueued) {
+  signal?.throwIfAborted();
+  if (!queues.has(baseUrl)) queues.set(baseUrl, { active: 0, waiting: [] });
+  const queue = queues.get(baseUrl);
+  const release = () => {
+    queue.active--;
+    if (queue.waiting.length && queue.active < concurrency) queue.waiting.shift()();
+  };
+
+  if (queue.active < concurrency) {
+    queue.active++;
+    return release;
+  }
+  return new Promise((resolve, reject) => {
+    const start = () => {
+      signal?.removeEventListener('abort', cancel);
+      queue.active++;
+      resolve(release);
+    };
+    const cancel = () => {
+      queue.waiting.splice(queue.waiting.indexOf(start), 1);
+      reject(signal.reason);
+    };
+    queue.waiting.push(start);
+    signal?.addEventListener('abort', cancel, { once: true });
+    onQueued?.(queue.waiting.length);
+  });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', cancel);
+      resolve();
+    }, ms);
+    const cancel = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', cancel, { once: true });
+  });
+}
@@ -0,0 +1,65 @@
+/**
+ * Agent Preflight
+ * Checks the data an agent declares in AGENT_META against what's loaded,
+ * before it runs:
+ *   requiredData  each entry needs records; 'heartRate|restingHR' is met by either
+ *   minimumDays   days with records, counted for each required entry (the fewest wins)
+ *   optionalData  used when there, never required
+ *
+ * The agent then gets only the types it declared, so it can't read more than
+ * the consent screen listed.
+ */
+
+/**
+ * Returns { ok: true, data } — data holds the declared types only, [] where
+ * nothing is loaded — or { ok: false, report } with what's missing:
+ *   { agent, message, missing: [{ requirement, anyOf }], days?: { available, minimum } }
+ */
+export function preflight(meta, healthData) {
+  const required = (meta.requiredData || []).map(requirement => ({ requirement, anyOf: requirement.split('|') }));
+  const declared = declaredTypes(meta);
+
+  const missing = required.filter(r => !r.anyOf.some(type => healthData[type]?.length));
+
+  let days;
+  if (meta.minimumDays) {
+    const counted = required.length ? required : declared.map(type => ({ anyOf: [type] }));
+    days = {
+      available: Math.min(...counted.map(r => countDays(healthData, r.anyOf))),
+      minimum: meta.minimumDays
+    };
+  }
+
+  if (!missing.length && !(days && days.available < days.minimum)) {
+    return { ok: true, data: Object.fromEntries(declared.map(type => [type, healthData[type] || []])) };
+  }
+
+  const problems = [
+    missing.length && `missing ${missing.map(r => r.anyOf.join(' or ')).join(', ')}`,
+    days && days.available < days.minimum && `${days.available} of the ${days.minimum} days of data it needs`
+  ].filter(Boolean);
+  return {
+    ok: false,
+    report: {
+      agent: meta.id,
+      message: `Not enough data for ${meta.name}: ${problems.join('; ')}`,
+      missing,
+      ...(days && { days })
+    }
+  };
+}
+
+/** Every data type `meta` names, required (each alternative) or optional. */
+export function declaredTypes(meta) {
+  return [...new Set([...(meta.requiredData || []).flatMap(r => r.split('|')), ...(meta.optionalData || [])])];
+}
+
+// Helpers
+
+function countDays(healthData, types) {
+  const dates = new Set();
+  for (const type of types) {
+    for (const record of healthData[type] || []) dates.add(record.date);
+  }
+  return dates.size;
+}
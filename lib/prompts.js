@@ -0,0 +1,105 @@
+/**
+ * Prompt Templates
+ * Each agent's prompt lives in prompts/<agent>.md, so its tone and wording can
+ * be tuned without touching code:
+ *
+ *   ---
+ *   version: 1.0.0
+ *   ---
+ *   # system
+ *   You are ...
+ *   # task
+ *   ... The user's goals: {{goals}}.
+ *   # instructions
+ *   ## Instructions: ...
+ *
+ * A line "# <part>" starts a part; the agent puts its data between task and
+ * instructions. {{name}} and {{name.path}} are filled from the variables the
+ * agent passes (each agent's file lists them); a name it doesn't pass is an error.
+ *
+ * A file of the same name in the override directory (PROOFI_PROMPTS_DIR,
+ * default ./data/prompts) replaces the parts it has; the others keep the default.
+ * Results record the version and a hash of the parts used.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+const DEFAULT_OVERRIDE_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'data', 'prompts');
+const PARTS = ['system', 'task', 'instructions'];
+
+/**
+ * The prompt for `name` (an agent's file name, e.g. 'weekly-brief'), read
+ * fresh on every call so edits apply to the next run.
+ * Returns { name, parts, version, hash, source } — source is 'default' or 'override'.
+ */
+export function loadPrompt(name, { dir = DEFAULT_DIR, overrideDir = process.env.PROOFI_PROMPTS_DIR || DEFAULT_OVERRIDE_DIR } = {}) {
+  const base = parseTemplate(join(dir, `${name}.md`));
+  for (const part of PARTS) {
+    if (base.parts[part] === undefined) throw new Error(`Prompt ${join(dir, `${name}.md`)} has no "# ${part}" part`);
+  }
+
+  const overridePath = join(overrideDir, `${name}.md`);
+  const override = existsSync(overridePath) ? parseTemplate(overridePath) : null;
+  const parts = { ...base.parts, ...override?.parts };
+
+  return {
+    name,
+    parts,
+    version: override ? override.version || `${base.version}+override` : base.version,
+    hash: createHash('sha256').update(JSON.stringify(PARTS.map(p => parts[p]))).digest('hex').slice(0, 12),
+    source: override ? 'override' : 'default'
+  };
+}
+
+/**
+ * Fill the {{variables}} in one part of a loaded prompt. Arrays are joined
+ * with commas; a path that leads nowhere (data the user doesn't have) is empty.
+ */
+export function renderPrompt(prompt, part, vars = {}) {
+  return prompt.parts[part].replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const [root, ...rest] = path.split('.');
+    if (!(root in vars)) throw new Error(`Unknown variable {{${path}}} in the "${part}" part of the ${prompt.name} prompt (available: ${Object.keys(vars).join(', ')})`);
+    const value = rest.reduce((v, key) => v?.[key], vars[root]);
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+// Helpers
+
+function parseTemplate(path) {
+  if (!existsSync(path)) throw new Error(`Prompt template not found: ${path}`);
+  let text = readFileSync(path, 'utf8').replace(/\r\n/g, '\n');
+
+  let version = null;
+  const frontMatter = text.match(/^---\n([\s\S]*?)\n---\n/);
+  if (frontMatter) {
+    version = frontMatter[1].match(/^version:\s*(.+)$/m)?.[1].trim() || null;
+    text = text.slice(frontMatter[0].length);
+  }
+
+  const parts = {};
+  let current = null;
+  for (const line of text.split('\n')) {
+    const heading = line.match(/^# (\w+)\s*$/);
+    if (heading) {
+      if (!PARTS.includes(heading[1])) throw new Error(`Unknown part "# ${heading[1]}" in ${path} (expected ${PARTS.join(', ')})`);
+      current = heading[1];
+      parts[current] = [];
+    } else if (current) {
+      parts[current].push(line);
+    } else if (line.trim()) {
+      throw new Error(`Text before the first "# <part>" line in ${path}`);
+    }
+  }
+
+  return {
+    version,
+    parts: Object.fromEntries(Object.entries(parts).map(([part, lines]) => [part, lines.join('\n').trim()]))
+  };
+}
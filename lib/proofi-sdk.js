@@ -18,6 +18,8 @@ export class ProofiSDK {
     this.auditChain = [];
     this.tokens = new Map();
     this.decryptionKey = null;
+    // Latest wallet signature over the chain (signChain), carried by exportAudit
+    this.signature = null;
   }
 
   // ─── Wallet Detection ───────────────────────────────────
@@ -32,6 +34,9 @@ export class ProofiSDK {
     return {
       address: ext.address,
       email: ext.email,
+      // Raw public key (hex) and its scheme, so exported signatures can be checked offline
+      publicKey: ext.publicKey || null,
+      keyType: ext.keyType || 'ed25519',
       connected: true
     };
   }
@@ -152,6 +157,25 @@ export class ProofiSDK {
     if (token) token.revoked = true;
   }
 
+  // A token minted by the agent server (POST /api/tokens), which checks it on
+  // every agent call and hands the agent only the data its scopes cover
+  async requestAccessToken(serverUrl, agentRoute, scopes, durationMs = 3600000) {
+    const res = await fetch(`${serverUrl}/api/tokens`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ agent: agentRoute, scopes, durationMs })
+    });
+    const token = await res.json();
+    if (!res.ok) throw new Error(`Access token refused: ${token.error}`);
+    this.tokens.set(token.tokenId, { ...token, revoked: false });
+    return token;
+  }
+
+  async revokeServerToken(serverUrl, tokenId) {
+    this.revokeToken(tokenId);
+    await fetch(`${serverUrl}/api/tokens/${encodeURIComponent(tokenId)}`, { method: 'DELETE' });
+  }
+
   // ─── Audit Trail (SHA-256 Hash Chain) ──────────────────
 
   async addAuditEntry(action, details) {
@@ -194,20 +218,50 @@ export class ProofiSDK {
     return { valid: true, entries: this.auditChain.length };
   }
 
-  exportAudit(meta = {}) {
+  // Sign the chain's latest hash with the wallet. The chain gets a CHAIN_SIGNED
+  // entry; the full signature is kept for exportAudit. Null without a wallet.
+  async signChain() {
+    const wallet = this.getWalletState();
+    if (!wallet || !window.__proofi_extension__?.signMessage || !this.auditChain.length) return null;
+
+    const entryIndex = this.auditChain.length - 1;
+    const signedHash = this.auditChain[entryIndex].hash;
+    const value = await window.__proofi_extension__.signMessage(signedHash);
+    this.signature = {
+      algorithm: wallet.keyType,
+      signer: wallet.address,
+      publicKey: wallet.publicKey,
+      signedHash,
+      entryIndex,
+      value
+    };
+    await this.addAuditEntry('CHAIN_SIGNED', {
+      signature: value.slice(0, 20) + '...',
+      signer: wallet.address
+    });
+    return this.signature;
+  }
+
+  // A self-contained bundle: the verification is re-run here, and with the
+  // signature and public key anyone can re-check it offline (node verify-audit.js <file>)
+  async exportAudit(meta = {}) {
+    const chain = await this.verifyChain();
     return {
-      version: '1.0',
+      version: '1.1',
       exportedAt: new Date().toISOString(),
       wallet: this.wallet?.address || 'unknown',
       ...meta,
       entries: this.auditChain,
       verification: {
         algorithm: 'SHA-256',
-        chainValid: true,
+        chainValid: chain.valid,
+        entriesVerified: chain.valid ? chain.entries : chain.brokenAt,
+        ...(!chain.valid && { brokenAt: chain.brokenAt, reason: chain.reason }),
         finalHash: this.auditChain.length
           ? this.auditChain[this.auditChain.length - 1].hash
           : null
-      }
+      },
+      signature: this.signature
     };
   }
 
@@ -222,20 +276,19 @@ export class ProofiSDK {
       extensionConnected: !!wallet
     });
 
-    // 2. Create scoped access token
+    // 2. Get a scoped access token from the agent server ('heartRate|restingHR' grants both)
     const scopes = [
-      ...agentMeta.requiredData.map(d => `health/${d}/*`),
+      ...agentMeta.requiredData.flatMap(d => d.split('|')).map(d => `health/${d}/*`),
       ...agentMeta.optionalData.map(d => `health/${d}/*`)
     ];
     const durationMs = parseDuration(agentMeta.accessDuration);
-    const token = this.createAccessToken(agentMeta.id, scopes, durationMs);
+    const token = await this.requestAccessToken(ollamaEndpoint, agentMeta.route, scopes, durationMs);
 
     await this.addAuditEntry('TOKEN_CREATED', {
       tokenId: token.tokenId,
       agentId: agentMeta.id,
       scopes: token.scopes,
-      expiresAt: token.expiresAt,
-      agentKey: token.agentKey
+      expiresAt: token.expiresAt
     });
 
     // 3. Run agent via local Ollama
@@ -246,23 +299,36 @@ export class ProofiSDK {
       agentId: agentMeta.id,
       agentVersion: agentMeta.version,
       recordsAnalyzed: totalRecords,
-      processingLocation: 'local',
-      model: 'ollama/llama3.2'
+      processingLocation: 'local'
     });
 
     // 4. Call the local agent API
-    const res = await fetch(`${ollamaEndpoint}/api/agent/${agentMeta.apiRoute}`, {
+    const res = await fetch(`${ollamaEndpoint}/api/agent/${agentMeta.route}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token.token}` },
       body: JSON.stringify({ goals })
     });
     const result = await res.json();
 
+    // Data types the agent declared but the token didn't grant
+    if (result.access?.denied.length) {
+      await this.addAuditEntry('SCOPE_DENIED', {
+        tokenId: token.tokenId,
+        agentId: agentMeta.id,
+        denied: result.access.denied.map(type => `health/${type}/read`)
+      });
+    }
+    if (!res.ok) {
+      await this.revokeServerToken(ollamaEndpoint, token.tokenId);
+      throw new Error(`Agent ${agentMeta.id} refused: ${result.error}`);
+    }
+
     // 5. Log analysis complete
     await this.addAuditEntry('ANALYSIS_COMPLETE', {
       tokenId: token.tokenId,
       agentId: agentMeta.id,
       processingTime: result.processingTime,
+      model: result.model,
       insightCount: result.insights?.insights?.length ||
                     result.analysis?.trends?.length ||
                     result.brief?.wins?.length || 0,
@@ -270,7 +336,7 @@ export class ProofiSDK {
     });
 
     // 6. Revoke token (access window closed)
-    this.revokeToken(token.tokenId);
+    await this.revokeServerToken(ollamaEndpoint, token.tokenId);
 
     await this.addAuditEntry('TOKEN_REVOKED', {
       tokenId: token.tokenId,
@@ -279,17 +345,10 @@ export class ProofiSDK {
 
     // 7. Sign the audit chain if wallet available
     let signature = null;
-    if (wallet && window.__proofi_extension__?.signMessage) {
-      try {
-        const chainHash = this.auditChain[this.auditChain.length - 1].hash;
-        signature = await window.__proofi_extension__.signMessage(chainHash);
-        await this.addAuditEntry('CHAIN_SIGNED', {
-          signature: signature.slice(0, 20) + '...',
-          signer: wallet.address
-        });
-      } catch (e) {
-        console.warn('Wallet signing skipped:', e.message);
-      }
+    try {
+      signature = await this.signChain();
+    } catch (e) {
+      console.warn('Wallet signing skipped:', e.message);
     }
 
     return {
@@ -312,10 +371,12 @@ export class ProofiSDK {
 
 // ─── Helpers ────────────────────────────────────────────
 
-function matchScope(pattern, required) {
+// 'health/sleep/*' covers health/sleep/... but not health/sleepScore/...
+// Also used by the server (lib/capability-tokens.js) to filter agent data.
+export function matchScope(pattern, required) {
   if (pattern === required) return true;
   if (pattern.endsWith('/*')) {
-    const prefix = pattern.slice(0, -2);
+    const prefix = pattern.slice(0, -1);
     return required.startsWith(prefix);
   }
   return false;
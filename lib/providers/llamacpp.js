@@ -0,0 +1,108 @@
+/**
+ * llama.cpp Provider
+ * llama-server's native API: /apply-template renders the chat with the
+ * model's own template, /completion generates, /health and /v1/models report
+ * the loaded model. The server runs one model, so the configured name is only
+ * a label, and its context size is fixed at startup (-c), so numCtx is ignored.
+ */
+
+import { readLines, eventData } from './read-lines.js';
+
+export const NAME = 'llama.cpp server';
+export const START_HINT = 'llama-server -m <model.gguf>';
+
+/**
+ * Send a chat and resolve with { content, model, usage }.
+ * With `onToken`, the reply is streamed and each piece passed to it as it arrives.
+ * JSON replies are enforced with a grammar, like Ollama's format: 'json'.
+ */
+export async function chat(messages, config, { json = false, onToken, signal } = {}) {
+  const { prompt } = await (await post(config, '/apply-template', { messages }, signal)).json();
+  return complete(prompt, config, { json, onToken, signal });
+}
+
+export async function generate(prompt, config, { system = '', signal } = {}) {
+  const { content } = await complete(system ? `${system}\n\n${prompt}` : prompt, config, { signal });
+  return content;
+}
+
+export async function isAvailable(config) {
+  try {
+    const res = await fetch(`${config.baseUrl}/health`, { headers: headers(config), signal: AbortSignal.timeout(3000), redirect: 'error' });
+    return res.ok;
+  } catch {
+    return false;
+  }
+}
+
+export async function listModels(config, { signal } = {}) {
+  const res = await fetch(`${config.baseUrl}/v1/models`, { headers: headers(config), signal, redirect: 'error' });
+  const data = await res.json();
+  return data.data?.map(m => m.id) || [];
+}
+
+// Helpers
+
+async function complete(prompt, config, { json = false, onToken, signal } = {}) {
+  const { model, numPredict, temperature = 0.3 } = config;
+  const body = { prompt, n_predict: numPredict ?? -1, temperature, stream: !!onToken, cache_prompt: true };
+  if (json) body.json_schema = { type: 'object' };
+  const res = await post(config, '/completion', body, signal);
+
+  if (onToken) return readCompletionStream(res, onToken, model);
+  const data = await res.json();
+  return completionResult(data.content, data, model);
+}
+
+function headers({ apiKey }) {
+  return {
+    'Content-Type': 'application/json',
+    ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+  };
+}
+
+// Redirects are refused so a local server can't forward health data elsewhere.
+// `status` on the error lets lib/llm.js tell a busy server from a bad request.
+async function post(config, path, body, signal) {
+  const res = await fetch(`${config.baseUrl}${path}`, {
+    method: 'POST',
+    headers: headers(config),
+    body: JSON.stringify(body),
+    signal,
+    redirect: 'error'
+  });
+  if (!res.ok) {
+    const err = await res.text();
+    throw Object.assign(new Error(`${NAME} error (${res.status}): ${err}`), { status: res.status });
+  }
+  return res;
+}
+
+function completionResult(content, data, requestedModel) {
+  return {
+    content,
+    model: data?.model || requestedModel,
+    usage: {
+      promptTokens: data?.tokens_evaluated ?? null,
+      completionTokens: data?.tokens_predicted ?? null
+    }
+  };
+}
+
+// Server-Sent Events; the last one (stop: true) carries the counts
+async function readCompletionStream(res, onToken, requestedModel) {
+  let content = '';
+  let final = null;
+
+  await readLines(res, (line) => {
+    const data = eventData(line);
+    if (!data) return;
+    if (data.error) throw new Error(`${NAME} error: ${data.error.message || JSON.stringify(data.error)}`);
+    if (data.content) {
+      content += data.content;
+      onToken(data.content);
+    }
+    if (data.stop) final = data;
+  });
+  return completionResult(content, final, requestedModel);
+}
@@ -0,0 +1,106 @@
+/**
+ * Ollama Provider
+ * Ollama's native API: /api/chat, /api/generate, /api/tags.
+ */
+
+import { readLines } from './read-lines.js';
+
+export const NAME = 'Ollama';
+export const START_HINT = 'brew services start ollama';
+
+/**
+ * Send a chat and resolve with { content, model, usage } — `model` is the one
+ * Ollama says answered, which can differ from the requested tag.
+ * With `onToken`, the reply is streamed and each piece passed to it as it arrives.
+ */
+export async function chat(messages, config, { json = false, onToken, signal } = {}) {
+  const { baseUrl, model, temperature = 0.3 } = config;
+  const body = { model, messages, stream: !!onToken, options: generationOptions(config, temperature) };
+  if (json) body.format = 'json';
+  const res = await post(`${baseUrl}/api/chat`, body, signal);
+
+  if (onToken) return readChatStream(res, onToken, model);
+  const data = await res.json();
+  return chatResult(data.message.content, data, model);
+}
+
+export async function generate(prompt, config, { system = '', signal } = {}) {
+  const { baseUrl, model, temperature = 0.3 } = config;
+  const res = await post(`${baseUrl}/api/generate`, {
+    model, prompt, system, stream: false, options: generationOptions(config, temperature)
+  }, signal);
+  const data = await res.json();
+  return data.response;
+}
+
+export async function isAvailable({ baseUrl }) {
+  try {
+    const res = await fetch(`${baseUrl}/api/tags`, { signal: AbortSignal.timeout(3000), redirect: 'error' });
+    if (!res.ok) return false;
+    const data = await res.json();
+    return data.models?.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+export async function listModels({ baseUrl }, { signal } = {}) {
+  const res = await fetch(`${baseUrl}/api/tags`, { signal, redirect: 'error' });
+  const data = await res.json();
+  return data.models?.map(m => m.name) || [];
+}
+
+// Helpers
+
+function generationOptions({ numCtx, numPredict }, temperature) {
+  const options = { temperature, num_predict: numPredict };
+  if (numCtx) options.num_ctx = numCtx;
+  return options;
+}
+
+// Redirects are refused so a local server can't forward health data elsewhere.
+// `status` on the error lets lib/llm.js tell a busy server from a bad request.
+async function post(url, body, signal) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+    redirect: 'error'
+  });
+  if (!res.ok) {
+    const err = await res.text();
+    throw Object.assign(new Error(`Ollama error (${res.status}): ${err}`), { status: res.status });
+  }
+  return res;
+}
+
+function chatResult(content, data, requestedModel) {
+  return {
+    content,
+    model: data?.model || requestedModel,
+    usage: {
+      promptTokens: data?.prompt_eval_count ?? null,
+      completionTokens: data?.eval_count ?? null
+    }
+  };
+}
+
+// Ollama streams newline-delimited JSON; the last object (done: true) carries the counts
+async function readChatStream(res, onToken, requestedModel) {
+  let content = '';
+  let final = null;
+
+  await readLines(res, (line) => {
+    if (!line.trim()) return;
+    const data = JSON.parse(line);
+    if (data.error) throw new Error(`Ollama error: ${data.error}`);
+    const piece = data.message?.content || '';
+    if (piece) {
+      content += piece;
+      onToken(piece);
+    }
+    if (data.done) final = data;
+  });
+  return chatResult(content, final, requestedModel);
+}
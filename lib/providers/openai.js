@@ -0,0 +1,113 @@
+/**
+ * OpenAI-compatible Provider
+ * The /v1/chat/completions and /v1/models API spoken by vLLM, LM Studio,
+ * llama.cpp's server and others. The base URL is the server root; a trailing
+ * /v1 is accepted too.
+ */
+
+import { readLines, eventData } from './read-lines.js';
+
+export const NAME = 'OpenAI-compatible server';
+export const START_HINT = 'start your server, e.g. vllm serve <model>';
+
+/**
+ * Send a chat and resolve with { content, model, usage }.
+ * With `onToken`, the reply is streamed and each piece passed to it as it arrives.
+ * numCtx isn't part of this API; the server's own context size applies.
+ */
+export async function chat(messages, config, { json = false, onToken, signal } = {}) {
+  const { model, numPredict, temperature = 0.3 } = config;
+  const body = { model, messages, temperature, max_tokens: numPredict, stream: !!onToken };
+  if (json) body.response_format = { type: 'json_object' };
+  if (onToken) body.stream_options = { include_usage: true };
+  const res = await post(config, '/chat/completions', body, signal);
+
+  if (onToken) return readChatStream(res, onToken, model);
+  const data = await res.json();
+  return chatResult(data.choices?.[0]?.message?.content || '', data, model);
+}
+
+export async function generate(prompt, config, { system = '', signal } = {}) {
+  const messages = system ? [{ role: 'system', content: system }] : [];
+  const { content } = await chat([...messages, { role: 'user', content: prompt }], config, { signal });
+  return content;
+}
+
+export async function isAvailable(config) {
+  try {
+    return (await fetchModels(config, AbortSignal.timeout(3000))).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+export async function listModels(config, { signal } = {}) {
+  return fetchModels(config, signal);
+}
+
+// Helpers
+
+function apiUrl(baseUrl, path) {
+  return `${baseUrl.replace(/\/v1$/, '')}/v1${path}`;
+}
+
+function headers({ apiKey }) {
+  return {
+    'Content-Type': 'application/json',
+    ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+  };
+}
+
+async function fetchModels(config, signal) {
+  const res = await fetch(apiUrl(config.baseUrl, '/models'), { headers: headers(config), signal, redirect: 'error' });
+  if (!res.ok) throw Object.assign(new Error(`${NAME} error (${res.status}): ${await res.text()}`), { status: res.status });
+  const data = await res.json();
+  return data.data?.map(m => m.id) || [];
+}
+
+// Redirects are refused so a local server can't forward health data elsewhere.
+// `status` on the error lets lib/llm.js tell a busy server from a bad request.
+async function post(config, path, body, signal) {
+  const res = await fetch(apiUrl(config.baseUrl, path), {
+    method: 'POST',
+    headers: headers(config),
+    body: JSON.stringify(body),
+    signal,
+    redirect: 'error'
+  });
+  if (!res.ok) {
+    const err = await res.text();
+    throw Object.assign(new Error(`${NAME} error (${res.status}): ${err}`), { status: res.status });
+  }
+  return res;
+}
+
+function chatResult(content, data, requestedModel) {
+  return {
+    content,
+    model: data?.model || requestedModel,
+    usage: {
+      promptTokens: data?.usage?.prompt_tokens ?? null,
+      completionTokens: data?.usage?.completion_tokens ?? null
+    }
+  };
+}
+
+// Server-Sent Events, one delta per event; with include_usage the last one carries the counts
+async function readChatStream(res, onToken, requestedModel) {
+  let content = '';
+  let last = null;
+
+  await readLines(res, (line) => {
+    const data = eventData(line);
+    if (!data) return;
+    if (data.error) throw new Error(`${NAME} error: ${data.error.message || JSON.stringify(data.error)}`);
+    const piece = data.choices?.[0]?.delta?.content || '';
+    if (piece) {
+      content += piece;
+      onToken(piece);
+    }
+    last = { model: data.model || last?.model, usage: data.usage || last?.usage };
+  });
+  return chatResult(content, last, requestedModel);
+}
@@ -0,0 +1,30 @@
+/**
+ * Read a streamed response body line by line: Ollama sends newline-delimited
+ * JSON, the OpenAI-compatible and llama.cpp servers send Server-Sent Events.
+ * onLine may throw to abort the stream.
+ */
+export async function readLines(res, onLine) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      onLine(buffer.slice(0, newline).replace(/\r$/, ''));
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+  const rest = buffer + decoder.decode();
+  if (rest) onLine(rest);
+}
+
+/**
+ * The JSON payload of one Server-Sent Events line, or null for blank lines,
+ * comments, other fields and the OpenAI "[DONE]" marker.
+ */
+export function eventData(line) {
+  if (!line.startsWith('data:')) return null;
+  const data = line.slice(5).trim();
+  return data && data !== '[DONE]' ? JSON.parse(data) : null;
+}
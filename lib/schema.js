@@ -0,0 +1,129 @@
+/**
+ * Agent Output Schemas
+ * Each agent declares the JSON its prompt asks for as a small JSON-Schema
+ * subset: type (object|array|string|number|integer|boolean), properties,
+ * required, items, enum, minimum, maximum, minItems. Unknown keys in a reply
+ * are allowed; missing or mistyped ones are errors.
+ *
+ * completeWithSchema parses and validates a model reply and, when it doesn't
+ * fit, sends the errors back for a bounded number of repair turns.
+ */
+
+export const MAX_REPAIRS = 2;
+
+/**
+ * Validate `value` against `schema`. Returns a list of "path: problem" strings,
+ * empty when the value fits.
+ */
+export function validate(value, schema, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type && !(actual === schema.type || (schema.type === 'number' && actual === 'integer'))) {
+    errors.push(`${path}: expected ${schema.type}, got ${actual}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}, got ${value}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}, got ${value}`);
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) errors.push(...validate(value[key], sub, `${path}.${key}`));
+    }
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}, got ${value.length}`);
+    }
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Pull a JSON object out of a model reply: the reply itself, or the first
+ * {...} block once code fences are stripped. Returns { value } or { error }.
+ */
+export function parseJSONReply(text) {
+  try {
+    return { value: JSON.parse(text.trim()) };
+  } catch (err) {
+    const cleaned = text.replace(/```json\s*/g, '').replace(/```\s*/g, '');
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    if (match) {
+      try {
+        return { value: JSON.parse(match[0]) };
+      } catch { /* report the original error */ }
+    }
+    return { error: `$: reply is not valid JSON (${err.message})` };
+  }
+}
+
+/**
+ * Run a chat until its reply fits `schema`.
+ * `send(messages)` performs one model call and resolves with { content, model, usage }.
+ * Resolves with { value, model, usage, attempts } on success, or with
+ * { value: null, error, ... } once `maxRepairs` repair turns have failed, where
+ * error is { code: 'invalid_output', message, errors, attempts, raw }.
+ * onRepair({ attempt, errors }) is called before each repair turn.
+ */
+export async function completeWithSchema(send, messages, schema, { maxRepairs = MAX_REPAIRS, onRepair } = {}) {
+  const conversation = [...messages];
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  let reply;
+  let errors;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    if (attempt > 1) {
+      onRepair?.({ attempt: attempt - 1, errors });
+      conversation.push(
+        { role: 'assistant', content: reply.content },
+        { role: 'user', content: repairPrompt(errors) }
+      );
+    }
+
+    reply = await send(conversation);
+    usage.promptTokens += reply.usage?.promptTokens || 0;
+    usage.completionTokens += reply.usage?.completionTokens || 0;
+
+    const parsed = parseJSONReply(reply.content);
+    errors = parsed.error ? [parsed.error] : validate(parsed.value, schema);
+    if (!errors.length) return { value: parsed.value, model: reply.model, usage, attempts: attempt };
+  }
+
+  return {
+    value: null,
+    model: reply.model,
+    usage,
+    attempts: maxRepairs + 1,
+    error: {
+      code: 'invalid_output',
+      message: `The model's reply still didn't match the expected structure after ${maxRepairs} repair attempt${maxRepairs === 1 ? '' : 's'}`,
+      errors,
+      attempts: maxRepairs + 1,
+      raw: reply.content
+    }
+  };
+}
+
+// Helpers
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function repairPrompt(errors) {
+  return `Your reply did not match the required JSON structure:
+${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+
+Reply again with the complete, corrected JSON object only — no prose, no code fences.`;
+}
@@ -0,0 +1,114 @@
+/**
+ * Source Priority
+ * When several devices record the same metric (a Watch and an iPhone both
+ * counting steps), pick one per time slot instead of adding them up.
+ *
+ * A priority is a list of source-name fragments, best first, matched
+ * case-insensitively against each record's `source`. It can also be an object
+ * with a `default` list plus per-metric lists, e.g.
+ *   { default: ['Watch', 'iPhone'], bodyMass: ['Withings'] }
+ * Per-metric entries outrank the default list; unmatched sources rank last.
+ */
+
+export const DEFAULT_SOURCE_PRIORITY = {
+  default: ['Watch', 'Oura', 'Whoop', 'Garmin', 'Fitbit', 'iPhone', 'Google Fit'],
+  bodyMass: ['Withings', 'Scale']
+};
+
+// Two workouts from different sources are the same session if they overlap this much of the shorter one
+const WORKOUT_OVERLAP = 0.5;
+
+/**
+ * Build a policy: { rank(source, metric), pick(sources, metric) }.
+ * Lower rank wins; ties keep the first source seen.
+ */
+export function createSourcePolicy(priority = DEFAULT_SOURCE_PRIORITY) {
+  const lists = Array.isArray(priority) ? { default: priority } : { default: [], ...priority };
+
+  const indexIn = (list, source) => {
+    const name = String(source || '').toLowerCase();
+    return list.findIndex(fragment => name.includes(String(fragment).toLowerCase()));
+  };
+
+  const rank = (source, metric) => {
+    const own = lists[metric] || [];
+    const i = indexIn(own, source);
+    if (i !== -1) return i;
+    const j = indexIn(lists.default, source);
+    return own.length + (j === -1 ? lists.default.length : j);
+  };
+
+  return {
+    rank,
+    pick(sources, metric) {
+      let best = null;
+      for (const s of sources) {
+        if (best === null || rank(s, metric) < rank(best, metric)) best = s;
+      }
+      return best;
+    }
+  };
+}
+
+/**
+ * Parse a priority from a CLI flag or env var: "Apple Watch,Oura,iPhone".
+ * Returns null for an empty value so callers can fall back to the default.
+ */
+export function parseSourcePriority(value) {
+  if (!value) return null;
+  const list = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * Reconcile an extracted healthData object: one record per day (per hour for
+ * heart rate) and per night, and one workout per session, keeping the
+ * preferred source. Intraday overlaps are resolved earlier, in the rollup.
+ */
+export function applySourcePriority(data, policy = createSourcePolicy()) {
+  const out = {};
+  for (const [metric, records] of Object.entries(data)) {
+    if (metric === 'workouts') {
+      out.workouts = dedupeWorkouts(records, policy);
+    } else if (metric === 'heartRate') {
+      out.heartRate = keepPreferred(records, r => `${r.date}|${r.hour}`, metric, policy);
+    } else {
+      out[metric] = keepPreferred(records, r => r.date, metric, policy);
+    }
+  }
+  return out;
+}
+
+// Helpers
+
+function keepPreferred(records, keyOf, metric, policy) {
+  const best = new Map();
+  for (const r of records) {
+    const key = keyOf(r);
+    const current = best.get(key);
+    if (!current || policy.rank(r.source, metric) < policy.rank(current.source, metric)) best.set(key, r);
+  }
+  const kept = new Set(best.values());
+  return records.filter(r => kept.has(r));
+}
+
+function dedupeWorkouts(workouts, policy) {
+  const byRank = [...workouts].sort((a, b) => policy.rank(a.source, 'workouts') - policy.rank(b.source, 'workouts'));
+  const kept = [];
+  for (const w of byRank) {
+    const duplicate = kept.some(k => k.source !== w.source && sameSession(k, w));
+    if (!duplicate) kept.push(w);
+  }
+  const keep = new Set(kept);
+  return workouts.filter(w => keep.has(w));
+}
+
+// Workouts are enriched with a local date, start hour and durationMin
+function sameSession(a, b) {
+  if (a.date !== b.date || !Number.isFinite(a.hour) || !Number.isFinite(b.hour)) return false;
+  const aEnd = a.hour + (a.durationMin || 0) / 60;
+  const bEnd = b.hour + (b.durationMin || 0) / 60;
+  const overlap = Math.min(aEnd, bEnd) - Math.max(a.hour, b.hour);
+  const shorter = Math.min(aEnd - a.hour, bEnd - b.hour);
+  return overlap > 0 && overlap >= shorter * WORKOUT_OVERLAP;
+}
@@ -0,0 +1,195 @@
+/**
+ * Local Health Store
+ * Keeps the normalized daily series and the latest agent results on disk,
+ * so a restart doesn't mean re-importing a multi-gigabyte export.
+ *
+ * Everything is encrypted at rest with the same scheme as the Proofi SDK
+ * (ProofiSDK.deriveKey / encryptData): PBKDF2-SHA-256, 100k iterations, into
+ * an AES-256-GCM key; each file holds a { ciphertext, iv, algorithm } payload.
+ *
+ * Layout of the data directory (PROOFI_DATA_DIR, default ./data):
+ *   store.json    salt, KDF parameters and a check value for the passphrase
+ *   health.enc    healthData, merged across imports
+ *   imports.enc   per-source high-water marks for incremental re-imports
+ *   results.enc   latest result per agent
+ */
+
+import { webcrypto, randomBytes } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createSourcePolicy, applySourcePriority, DEFAULT_SOURCE_PRIORITY } from './source-priority.js';
+import { addDays } from './time.js';
+
+const { subtle } = webcrypto;
+const DEFAULT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'data');
+const ITERATIONS = 100000;
+const CHECK_VALUE = 'proofi-store';
+// Sources whose latest record is this far behind the newest don't hold back the shared cutoff
+const ACTIVE_SOURCE_DAYS = 7;
+
+/**
+ * Open (or create) the store. The passphrase defaults to PROOFI_PASSPHRASE;
+ * a wrong one is rejected before anything is read or written.
+ */
+export async function openStore({ dir = process.env.PROOFI_DATA_DIR || DEFAULT_DIR, passphrase = process.env.PROOFI_PASSPHRASE } = {}) {
+  if (!passphrase) throw new Error('A passphrase is required to open the health store (set PROOFI_PASSPHRASE)');
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const metaPath = join(dir, 'store.json');
+  let key;
+  if (existsSync(metaPath)) {
+    const meta = JSON.parse(readFileSync(metaPath, 'utf8'));
+    key = await deriveKey(passphrase, meta.kdf.salt, meta.kdf.iterations);
+    try {
+      if (await decryptData(meta.check, key) !== CHECK_VALUE) throw new Error();
+    } catch {
+      throw new Error(`Wrong passphrase for the health store in ${dir}`);
+    }
+  } else {
+    const salt = randomBytes(16).toString('hex');
+    key = await deriveKey(passphrase, salt, ITERATIONS);
+    writeAtomic(metaPath, JSON.stringify({
+      version: 1,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt },
+      check: await encryptData(CHECK_VALUE, key)
+    }, null, 2));
+  }
+
+  const read = async (name) => {
+    const path = join(dir, name);
+    return existsSync(path) ? JSON.parse(await decryptData(readFileSync(path, 'utf8'), key)) : null;
+  };
+  const write = async (name, value) => writeAtomic(join(dir, name), await encryptData(value, key));
+
+  return {
+    dir,
+
+    async loadHealth() {
+      return read('health.enc');
+    },
+
+    // The `incremental` option for the next import, from the stored high-water marks
+    async planImport() {
+      const { watermarks = {} } = (await read('imports.enc')) || {};
+      return { cutoffs: importCutoffs(watermarks), watermarks: { ...watermarks }, sources: new Set(), skipped: 0 };
+    },
+
+    // Merge an import into the stored history, save it, and return the merged healthData.
+    // With the plan it was imported under, the re-read days of each source replace the stored ones.
+    async mergeHealth(incoming, { sourcePriority, incremental } = {}) {
+      let stored = await read('health.enc');
+      if (stored && incremental) stored = dropReimported(stored, incremental);
+      const merged = mergeHealthData(stored, incoming, sourcePriority);
+      await write('health.enc', merged);
+      if (incremental) {
+        await write('imports.enc', { watermarks: incremental.watermarks, importedAt: new Date().toISOString() });
+      }
+      return merged;
+    },
+
+    async loadResults() {
+      return (await read('results.enc')) || {};
+    },
+
+    async saveResults(results) {
+      await write('results.enc', results);
+    }
+  };
+}
+
+/**
+ * Merge two healthData objects. A record from the new import replaces the
+ * stored one for the same source and day (and hour, for heart rate); other
+ * sources are kept and reconciled with the source priority, so a Fitbit
+ * import doesn't wipe the Apple Watch history it overlaps.
+ */
+export function mergeHealthData(existing, incoming, sourcePriority = DEFAULT_SOURCE_PRIORITY) {
+  if (!existing) return incoming;
+  const merged = {};
+  for (const metric of new Set([...Object.keys(existing), ...Object.keys(incoming)])) {
+    const fresh = incoming[metric] || [];
+    const replaced = new Set(fresh.map(r => recordKey(metric, r)));
+    merged[metric] = [...fresh, ...(existing[metric] || []).filter(r => !replaced.has(recordKey(metric, r)))]
+      .sort((a, b) => String(b.date).localeCompare(String(a.date))
+        || (metric === 'heartRate' ? b.hour - a.hour : 0)
+        || (metric === 'workouts' ? String(b.start).localeCompare(String(a.start)) : 0));
+  }
+  return applySourcePriority(merged, createSourcePolicy(sourcePriority));
+}
+
+// Helpers
+
+// Re-read from one day before each source's high-water mark, since a mark taken
+// from a timestamp's date prefix can be a day ahead of the local date and the
+// last day of an export is usually partial. Sources that are still syncing
+// share the earliest cutoff, so a day that mixes them is rebuilt whole.
+function importCutoffs(watermarks) {
+  const marks = Object.values(watermarks).sort();
+  if (!marks.length) return {};
+  const activeSince = addDays(marks[marks.length - 1], -ACTIVE_SOURCE_DAYS);
+  const shared = addDays(marks.find(m => m >= activeSince), -1);
+  return Object.fromEntries(Object.entries(watermarks).map(([source, mark]) => {
+    const own = addDays(mark, -1);
+    return [source, own < shared ? own : shared];
+  }));
+}
+
+// Drop stored records the import re-read: any day on or after the cutoff of a
+// source the file contains (all days, for a source without a mark)
+function dropReimported(stored, { cutoffs, sources }) {
+  const reread = (r) => [r.source, ...(r.sources || [])]
+    .some(s => sources.has(s) && !(r.date < cutoffs[s]));
+  return Object.fromEntries(Object.entries(stored).map(([metric, records]) => [metric, records.filter(r => !reread(r))]));
+}
+
+// Workouts are replaced per source and day as a set, since a re-export can renumber or drop sessions
+function recordKey(metric, r) {
+  return metric === 'heartRate' ? `${r.date}|${r.hour}|${r.source}` : `${r.date}|${r.source}`;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const enc = new TextEncoder();
+  const keyMaterial = await subtle.importKey(
+    'raw', enc.encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt: enc.encode(salt), iterations, hash: 'SHA-256' },
+    keyMaterial,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptData(data, key) {
+  const iv = webcrypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(typeof data === 'string' ? data : JSON.stringify(data))
+  );
+  return JSON.stringify({
+    ciphertext: Buffer.from(encrypted).toString('base64'),
+    iv: Buffer.from(iv).toString('base64'),
+    algorithm: 'AES-256-GCM'
+  });
+}
+
+async function decryptData(encryptedPayload, key) {
+  const { ciphertext, iv, algorithm } = JSON.parse(encryptedPayload);
+  if (algorithm !== 'AES-256-GCM') throw new Error(`Unsupported algorithm: ${algorithm}`);
+  const decrypted = await subtle.decrypt(
+    { name: 'AES-GCM', iv: Buffer.from(iv, 'base64') },
+    key,
+    Buffer.from(ciphertext, 'base64')
+  );
+  return new TextDecoder().decode(decrypted);
+}
+
+// Write to a temp file and rename, so a crash mid-write never leaves a truncated store
+function writeAtomic(path, contents) {
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, contents, { mode: 0o600 });
+  renameSync(tmp, path);
+}
@@ -0,0 +1,67 @@
+/**
+ * Template Replies
+ * With `template: true` (run-agents.js --no-llm, or the server when its LLM is
+ * unavailable) each agent fills its OUTPUT_SCHEMA from the numbers it already
+ * computed instead of asking the model. The same data always gives the same
+ * reply, word for word.
+ *
+ * The agents write their own text; the 0-100 scores are shared here.
+ */
+
+/**
+ * Sleep, recovery and activity scores (0-100) and their mean as `overall`.
+ * A score is null when its data is missing. With `previous` (last week's
+ * stats), recovery compares against it rather than the previous 7 days in `stats`.
+ *
+ *   sleep     duration (7.5-9h is full marks), deep sleep share (20%+), night-to-night consistency
+ *   recovery  70, plus the HRV change in percent, minus 5 per bpm of resting HR gained (each capped)
+ *   activity  daily steps (10k is 70 points) plus workouts per week (4 is 30 points)
+ */
+export function scoreStats(stats, previous = {}) {
+  const scores = {};
+
+  const s = stats.sleep;
+  scores.sleep = s ? clampScore(
+    0.5 * clampScore(100 - Math.max(0, 7.5 - s.avgDuration) * 25 - Math.max(0, s.avgDuration - 9) * 15)
+    + 0.3 * clampScore(s.avgDeepPct / 0.2 * 100)
+    + 0.2 * clampScore(100 - s.stdDevDuration * 40)
+  ) : null;
+
+  if (stats.hrv || stats.restingHR) {
+    const hrvChange = previous.hrv && stats.hrv
+      ? (stats.hrv.avg - previous.hrv.avg) / previous.hrv.avg * 100
+      : stats.hrv?.weekOverWeekChange || 0;
+    const rhrChange = previous.restingHR && stats.restingHR
+      ? stats.restingHR.avg - previous.restingHR.avg
+      : stats.restingHR && Number.isFinite(stats.restingHR.prev7avg) && stats.restingHR.prev7avg
+        ? stats.restingHR.last7avg - stats.restingHR.prev7avg
+        : 0;
+    scores.recovery = clampScore(70 + clamp(hrvChange, -20, 20) - clamp(rhrChange * 5, -15, 15));
+  } else {
+    scores.recovery = null;
+  }
+
+  scores.activity = stats.steps || stats.workouts ? clampScore(
+    Math.min(70, (stats.steps?.avg || 0) / 10000 * 70)
+    + Math.min(30, (stats.workouts?.avgPerWeek || 0) / 4 * 30)
+  ) : null;
+
+  const known = Object.values(scores).filter(v => v !== null);
+  scores.overall = known.length ? Math.round(known.reduce((a, b) => a + b, 0) / known.length) : null;
+  return scores;
+}
+
+/** "+1.2" / "-0.4": a change with its sign, to `digits` decimals. */
+export function signed(n, digits = 0) {
+  return `${n > 0 ? '+' : ''}${n.toFixed(digits)}`;
+}
+
+// Helpers
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+function clampScore(n) {
+  return Math.round(clamp(n, 0, 100));
+}
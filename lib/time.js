@@ -0,0 +1,146 @@
+/**
+ * Time Zones
+ * Everything the agents see is keyed by the user's local calendar day.
+ *
+ * Apple Health stamps every record with the UTC offset it was taken in
+ * ("2024-03-01 23:10:00 +0100"), so a trip across zones is handled record by
+ * record: a run at 8pm in New York stays an 8pm run. Sources without an offset
+ * — Fitbit's wall-clock times, or UTC instants from Google Fit and FIT files —
+ * are placed in the user's time zone setting (PROOFI_TZ, --tz, or the
+ * system zone), with its DST rules applied per instant.
+ */
+
+const DAY_MS = 86400000;
+const formatters = new Map();
+
+/**
+ * The user's time zone as an IANA name. Falls back to PROOFI_TZ, then the
+ * system zone. Throws on names Intl doesn't know.
+ */
+export function resolveTimeZone(timeZone) {
+  const zone = timeZone || process.env.PROOFI_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch {
+    throw new Error(`Unknown time zone: ${zone}. Use an IANA name such as Europe/Amsterdam`);
+  }
+  return zone;
+}
+
+/**
+ * Parse a health timestamp into { ms, offsetMin }.
+ * An explicit offset is kept as-is; UTC instants and offset-less wall-clock
+ * times take the offset of `timeZone` at that moment. A bare YYYY-MM-DD is
+ * midnight of that local day.
+ */
+export function parseHealthDate(value, timeZone = 'UTC') {
+  if (!value) return null;
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|([+-])(\d{2}):?(\d{2}))?$/);
+  if (!m) {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : { ms, offsetMin: zoneOffset(ms, timeZone) };
+  }
+  const [, y, mo, d, h = '0', mi = '0', sec = '0', zone, sign, oh, om] = m;
+  const wallClock = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+
+  if (sign) {
+    const offsetMin = (sign === '-' ? -1 : 1) * (parseInt(oh) * 60 + parseInt(om));
+    return { ms: wallClock - offsetMin * 60000, offsetMin };
+  }
+  if (zone === 'Z') return { ms: wallClock, offsetMin: zoneOffset(wallClock, timeZone) };
+  return wallClockToInstant(wallClock, timeZone);
+}
+
+/**
+ * Wall-clock date and fractional hour of an instant at the given UTC offset
+ */
+export function localParts(ms, offsetMin) {
+  const local = new Date(ms + offsetMin * 60000);
+  return {
+    date: local.toISOString().split('T')[0],
+    hour: local.getUTCHours() + local.getUTCMinutes() / 60
+  };
+}
+
+/**
+ * Minutes east of UTC for `timeZone` at the instant `ms`
+ */
+export function zoneOffset(ms, timeZone = 'UTC') {
+  if (timeZone === 'UTC') return 0;
+  let format = formatters.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    formatters.set(timeZone, format);
+  }
+  const p = Object.fromEntries(format.formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+  const asUTC = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return Math.round((asUTC - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+/**
+ * The local calendar date (YYYY-MM-DD) of an instant in `timeZone`; today by default
+ */
+export function localDate(timeZone = 'UTC', ms = Date.now()) {
+  return localParts(ms, zoneOffset(ms, timeZone)).date;
+}
+
+/**
+ * The instant of a local date plus a (fractional, possibly > 24) hour in `timeZone`
+ */
+export function zonedTime(date, hour, timeZone = 'UTC') {
+  const [y, mo, d] = date.split('-').map(Number);
+  return wallClockToInstant(Date.UTC(y, mo - 1, d) + Math.round(hour * 3600000), timeZone);
+}
+
+/**
+ * Apple's export format: "2024-03-01 23:10:00 +0100"
+ */
+export function formatHealthDate(ms, offsetMin) {
+  const local = new Date(ms + offsetMin * 60000).toISOString();
+  const sign = offsetMin < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMin);
+  const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+  return `${local.slice(0, 10)} ${local.slice(11, 19)} ${offset}`;
+}
+
+/**
+ * Calendar arithmetic on YYYY-MM-DD strings, independent of any zone
+ */
+export function addDays(date, n) {
+  const [y, mo, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d + n)).toISOString().split('T')[0];
+}
+
+/**
+ * 0 = Sunday … 6 = Saturday, for a YYYY-MM-DD string
+ */
+export function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Format a YYYY-MM-DD string for display without shifting it across midnight
+ */
+export function formatDay(date, options) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
+
+// Helpers
+
+// Resolve a wall-clock time (as if it were UTC) to an instant in `timeZone`.
+// A time skipped by DST moves forward past the gap; a repeated one takes the earlier instant.
+function wallClockToInstant(wallClock, timeZone) {
+  const before = zoneOffset(wallClock - DAY_MS, timeZone);
+  const after = zoneOffset(wallClock + DAY_MS, timeZone);
+  const valid = [before, after]
+    .map(offsetMin => ({ ms: wallClock - offsetMin * 60000, offsetMin }))
+    .filter(c => zoneOffset(c.ms, timeZone) === c.offsetMin)
+    .sort((a, b) => a.ms - b.ms);
+  if (valid.length) return valid[0];
+  // Skipped by a DST jump: keep the old offset, which lands just past the gap
+  const ms = wallClock - before * 60000;
+  return { ms, offsetMin: zoneOffset(ms, timeZone) };
+}
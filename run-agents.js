@@ -1,114 +1,176 @@
 #!/usr/bin/env node
 /**
  * Proofi Agent Runner
- * Run all 3 agents against sample or real health data
+ * Run the agents against sample or real health data
  *
  * Usage:
  *   node run-agents.js                    # Run with sample data
  *   node run-agents.js --xml export.xml   # Run with Apple Health XML
- *   node run-agents.js --agent intel      # Run specific agent
+ *   node run-agents.js --xml export.zip   # ...or the export.zip straight from the phone
+ *   node run-agents.js --import takeout.zip [--format fitbit]  # Other vendors' exports
+ *   node run-agents.js --xml export.zip --source-priority "Apple Watch,Oura,iPhone"
+ *   node run-agents.js --tz America/New_York  # Local days in this zone (default: PROOFI_TZ or system)
+ *   node run-agents.js --agent intel      # Run specific agent (route, result key or alias; --agent list shows them)
+ *   node run-agents.js --model qwen2.5:7b # Override the model (default: proofi.config.json, PROOFI_MODEL or llama3.2)
+ *                                         # (provider and server: PROOFI_LLM_PROVIDER, PROOFI_LLM_URL — see lib/config.js)
+ *   node run-agents.js --no-llm           # Template replies from the computed stats; no model needed
+ *
+ * Without a reachable LLM server, the agents fall back to the template replies.
+ * Prompts come from prompts/, or the same file names in PROOFI_PROMPTS_DIR
+ * (default ./data/prompts) — see lib/prompts.js. Agents are the modules in
+ * agents/ and PROOFI_PLUGINS_DIR (default ./plugins) — see lib/agent-registry.js.
+ *
+ * With PROOFI_PASSPHRASE set, imports merge into the encrypted store
+ * (PROOFI_DATA_DIR, default ./data), skipping records it already holds, and
+ * runs without --xml use the stored history.
  */
 
-import { generateSampleData, parseAppleHealthXML, extractHealthData } from './lib/health-parser.js';
-import { isAvailable, listModels } from './lib/ollama.js';
-import { run as runCrossSource, AGENT_META as crossMeta } from './agents/cross-source-intel.js';
-import { run as runTrend, AGENT_META as trendMeta } from './agents/trend-predictor.js';
-import { run as runBrief, AGENT_META as briefMeta } from './agents/weekly-brief.js';
+import { generateSampleData } from './lib/health-parser.js';
+import { importHealthData, IMPORTERS } from './lib/importers/index.js';
+import { parseSourcePriority } from './lib/source-priority.js';
+import { resolveTimeZone } from './lib/time.js';
+import { openStore } from './lib/store.js';
+import { isAvailable, listModels, describeProvider } from './lib/llm.js';
+import { resolveLLMConfig, llmOverrides } from './lib/config.js';
+import { loadAgents, findAgent } from './lib/agent-registry.js';
+import { preflight } from './lib/preflight.js';
 import { writeFileSync, existsSync } from 'fs';
 
 const args = process.argv.slice(2);
-const xmlPath = args.includes('--xml') ? args[args.indexOf('--xml') + 1] : null;
+const importFlag = args.includes('--import') ? '--import' : '--xml';
+const xmlPath = args.includes(importFlag) ? args[args.indexOf(importFlag) + 1] : null;
+const importFormat = args.includes('--format') ? args[args.indexOf('--format') + 1] : undefined;
+const sourcePriority = parseSourcePriority(args.includes('--source-priority')
+  ? args[args.indexOf('--source-priority') + 1]
+  : process.env.PROOFI_SOURCE_PRIORITY);
+const timeZone = resolveTimeZone(args.includes('--tz') ? args[args.indexOf('--tz') + 1] : undefined);
 const agentFilter = args.includes('--agent') ? args[args.indexOf('--agent') + 1] : null;
 const goals = args.includes('--goals') ? args[args.indexOf('--goals') + 1].split(',') : ['Better Sleep', 'More Energy'];
 const outputDir = args.includes('--output') ? args[args.indexOf('--output') + 1] : './output';
+const llm = resolveLLMConfig(llmOverrides({ model: args.includes('--model') ? args[args.indexOf('--model') + 1] : undefined }));
+let template = args.includes('--no-llm');
 
 async function main() {
+  const agents = await loadAgents();
+  if (agentFilter === 'list') {
+    for (const agent of agents) {
+      console.log(`${agent.meta.icon || '•'} ${[agent.route, ...agent.aliases].join(', ')} — ${agent.meta.name} v${agent.meta.version}${agent.source === 'plugin' ? ` (plugin: ${agent.path})` : ''}`);
+    }
+    return;
+  }
+  const selected = agentFilter ? [findAgent(agents, agentFilter)].filter(Boolean) : agents;
+  if (!selected.length) {
+    console.error(`❌ Unknown agent: ${agentFilter} (available: ${agents.map(a => a.route).join(', ')})`);
+    process.exit(1);
+  }
+
   console.log('\n🔬 PROOFI AGENT RUNNER');
   console.log('━'.repeat(50));
-  console.log('🔒 Processing: 100% LOCAL (Ollama)');
+  console.log(`🔒 Processing: 100% LOCAL (${describeProvider(llm).name})`);
   console.log('🌐 Network calls: ZERO');
   console.log('📡 Data leaving device: NONE\n');
 
-  // Check Ollama
-  const available = await isAvailable();
-  if (!available) {
-    console.error('❌ Ollama is not running. Start it with: brew services start ollama');
-    console.error('   Then pull a model: ollama pull llama3.2');
-    process.exit(1);
+  // Check the LLM server
+  const { name: server, startHint } = describeProvider(llm);
+  if (template) {
+    console.log('🧩 Using: template replies (--no-llm)\n');
+  } else if (!await isAvailable(llm)) {
+    template = true;
+    console.log(`⚠️  ${server} is not running at ${llm.baseUrl}. Start it with: ${startHint}`);
+    if (llm.provider === 'ollama') console.log(`   Then pull a model: ollama pull ${llm.model}`);
+    console.log('🧩 Using: template replies from the computed stats\n');
+  } else {
+    const models = await listModels(llm);
+    console.log(`✅ ${server} ready. Models: ${models.join(', ')}`);
+    if (llm.provider === 'ollama' && !models.some(m => m === llm.model || m === `${llm.model}:latest`)) {
+      console.log(`⚠️  Model ${llm.model} is not pulled yet. Run: ollama pull ${llm.model}`);
+    }
+    console.log(`🧠 Using: ${llm.model}\n`);
   }
 
-  const models = await listModels();
-  console.log(`✅ Ollama ready. Models: ${models.join(', ')}\n`);
+  const store = process.env.PROOFI_PASSPHRASE ? await openStore() : null;
+  const stored = store && !xmlPath ? await store.loadHealth() : null;
 
   // Load health data
   let healthData;
+  let fromStore = false;
   if (xmlPath) {
     if (!existsSync(xmlPath)) {
       console.error(`❌ File not found: ${xmlPath}`);
       process.exit(1);
     }
-    console.log(`📂 Parsing Apple Health XML: ${xmlPath}`);
-    const { records, workouts } = parseAppleHealthXML(xmlPath);
-    healthData = extractHealthData(records, workouts);
+    console.log(`📂 Importing health export: ${xmlPath}`);
+    const incremental = await store?.planImport();
+    healthData = await importHealthData(xmlPath, {
+      format: importFormat,
+      sourcePriority,
+      timeZone,
+      incremental,
+      onProgress: ({ percent, records, workouts, files }) => {
+        process.stdout.write(percent !== undefined
+          ? `\r   ${percent}% — ${records.toLocaleString()} records, ${workouts.toLocaleString()} workouts`
+          : `\r   ${files} files read`);
+      }
+    });
+    process.stdout.write('\n');
     console.log(`   Found: ${Object.entries(healthData).map(([k, v]) => `${k}: ${v.length}`).join(', ')}\n`);
+    if (store) {
+      healthData = await store.mergeHealth(healthData, { sourcePriority, incremental });
+      fromStore = true;
+      console.log(`💾 Merged into encrypted store: ${store.dir} (${incremental.skipped.toLocaleString()} records already stored, skipped)\n`);
+    }
+  } else if (stored) {
+    healthData = stored;
+    fromStore = true;
+    console.log(`💾 Using stored history: ${store.dir}\n`);
   } else {
     console.log('📊 Using sample data (90 days)');
-    console.log('   Tip: Export from Apple Health → run with --xml export.xml\n');
-    healthData = generateSampleData(90);
+    console.log('   Tip: Export from Apple Health → run with --xml export.zip');
+    console.log(`   Other exports: --import <file> [--format ${IMPORTERS.map(i => i.id).join('|')}]\n`);
+    healthData = generateSampleData(90, { timeZone });
   }
 
   // Summary
   const totalRecords = Object.values(healthData).reduce((sum, arr) => sum + arr.length, 0);
   console.log(`📈 Total records: ${totalRecords.toLocaleString()}`);
   console.log(`📅 Data types: ${Object.entries(healthData).filter(([, v]) => v.length > 0).map(([k, v]) => `${k}(${v.length})`).join(', ')}`);
+  console.log(`🕐 Time zone: ${timeZone}`);
   console.log(`🎯 Goals: ${goals.join(', ')}\n`);
   console.log('━'.repeat(50));
 
   const results = {};
+  const onProgress = ({ phase, attempt, delayMs, error }) => {
+    if (phase === 'retry') console.log(`   ↻ ${error} — retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s`);
+  };
+  const logPrompt = (prompt) => {
+    if (prompt?.source === 'override') console.log(`   📝 Custom prompt ${prompt.version} (${prompt.hash})`);
+  };
+  const logContext = (context) => {
+    if (context?.summarized.length) console.log(`   ✂️  Shortened to fit ${context.window} tokens: ${context.summarized.join(', ')}`);
+    if (context?.dropped.length) console.log(`   ✂️  Left out to fit ${context.window} tokens: ${context.dropped.join(', ')} (raise numCtx to keep them)`);
+  };
 
-  // Agent 1: Cross-Source Intel
-  if (!agentFilter || agentFilter === 'intel' || agentFilter === '1') {
-    console.log(`\n${crossMeta.icon} Running: ${crossMeta.name} v${crossMeta.version}`);
-    console.log('   Correlating across all data sources...');
-    const start = Date.now();
-    try {
-      results.crossSource = await runCrossSource(healthData, goals);
-      console.log(`   ✅ Done in ${((Date.now() - start) / 1000).toFixed(1)}s`);
-      console.log(`   📊 Correlations found: ${results.crossSource.correlationsFound}`);
-      if (results.crossSource.insights?.headline) {
-        console.log(`   💡 ${results.crossSource.insights.headline}`);
-      }
-    } catch (err) {
-      console.error(`   ❌ Error: ${err.message}`);
-    }
-  }
-
-  // Agent 2: Trend Predictor
-  if (!agentFilter || agentFilter === 'trend' || agentFilter === '2') {
-    console.log(`\n${trendMeta.icon} Running: ${trendMeta.name} v${trendMeta.version}`);
-    console.log('   Analyzing longitudinal patterns...');
-    const start = Date.now();
-    try {
-      results.trend = await runTrend(healthData, goals);
-      console.log(`   ✅ Done in ${((Date.now() - start) / 1000).toFixed(1)}s`);
-      if (results.trend.analysis?.headline) {
-        console.log(`   💡 ${results.trend.analysis.headline}`);
-      }
-    } catch (err) {
-      console.error(`   ❌ Error: ${err.message}`);
+  for (const agent of selected) {
+    const { meta } = agent;
+    console.log(`\n${meta.icon || '•'} Running: ${meta.name} v${meta.version}`);
+    // Skipped when the data falls short of AGENT_META; otherwise it gets only the types it declared
+    const checked = preflight(meta, healthData);
+    if (!checked.ok) {
+      console.log(`   ⏭️  Skipped. ${checked.report.message}`);
+      continue;
     }
-  }
-
-  // Agent 3: Weekly Brief
-  if (!agentFilter || agentFilter === 'brief' || agentFilter === '3') {
-    console.log(`\n${briefMeta.icon} Running: ${briefMeta.name} v${briefMeta.version}`);
-    console.log('   Generating your weekly summary...');
+    if (meta.runningMessage) console.log(`   ${meta.runningMessage}`);
     const start = Date.now();
     try {
-      results.brief = await runBrief(healthData, goals);
+      const result = results[agent.resultKey] = await agent.run(checked.data, goals, { timeZone, llm, template, onProgress });
       console.log(`   ✅ Done in ${((Date.now() - start) / 1000).toFixed(1)}s`);
-      if (results.brief.brief?.greeting) {
-        console.log(`   💡 ${results.brief.brief.greeting}`);
+      if (result.outputError) console.log(`   ⚠️  ${result.outputError.message}`);
+      logPrompt(result.prompt);
+      logContext(result.context);
+      if (result.grounding?.unsupported) console.log(`   🔢 ${result.grounding.unsupported} of ${result.grounding.checked} numbers not found in the computed stats`);
+      for (const { icon = '•', label, path } of meta.summary || []) {
+        const value = path.split('.').reduce((v, key) => v?.[key], result);
+        if (value !== undefined && value !== null && value !== '') console.log(`   ${icon} ${label ? `${label}: ` : ''}${value}`);
       }
     } catch (err) {
       console.error(`   ❌ Error: ${err.message}`);
@@ -124,13 +186,16 @@ async function main() {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const outputPath = `${outputDir}/proofi-analysis-${timestamp}.json`;
   writeFileSync(outputPath, JSON.stringify(results, null, 2));
+  if (fromStore) await store.saveResults({ ...(await store.loadResults()), ...results });
 
   console.log('\n━'.repeat(50));
   console.log(`\n✅ All agents complete!`);
   console.log(`📁 Full results: ${outputPath}`);
   console.log('\n🔒 SOVEREIGNTY REPORT:');
   console.log('   • Data processed: locally');
-  console.log('   • Model used: locally (Ollama)');
+  console.log(template
+    ? '   • Model used: none (template replies)'
+    : `   • Model used: ${[...new Set(Object.values(results).map(r => r.model))].join(', ') || llm.model} (local ${server})`);
   console.log('   • Network requests: 0');
   console.log('   • Third-party data access: none');
   console.log('   • Your data never left this machine.\n');
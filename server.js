@@ -5,14 +5,21 @@
  */
 
 import express from 'express';
-import { readFileSync, existsSync, writeFileSync, mkdirSync } from 'fs';
+import { readFileSync, existsSync, writeFileSync, mkdirSync, rmSync, createWriteStream, statSync } from 'fs';
+import { pipeline } from 'stream/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { generateSampleData, parseAppleHealthXML, extractHealthData } from './lib/health-parser.js';
-import { isAvailable, listModels } from './lib/ollama.js';
-import { run as runCrossSource } from './agents/cross-source-intel.js';
-import { run as runTrend } from './agents/trend-predictor.js';
-import { run as runBrief } from './agents/weekly-brief.js';
+import { generateSampleData } from './lib/health-parser.js';
+import { importHealthData } from './lib/importers/index.js';
+import { parseSourcePriority } from './lib/source-priority.js';
+import { resolveTimeZone } from './lib/time.js';
+import { openStore } from './lib/store.js';
+import { isAvailable, listModels, describeProvider } from './lib/llm.js';
+import { resolveLLMConfig, llmOverrides } from './lib/config.js';
+import { loadAgents, findAgent, describeAgent } from './lib/agent-registry.js';
+import { preflight, declaredTypes } from './lib/preflight.js';
+import { createTokenIssuer, filterByScopes, scopeFor } from './lib/capability-tokens.js';
+import { openAuditLog, verifyChain } from './lib/audit-log.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -21,38 +28,90 @@ const PORT = 3577;
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static(join(__dirname, 'public')));
 
+// LLM provider, endpoint and model: proofi.config.json and PROOFI_* env vars; the model is overridable per run
+let llmConfig;
+try {
+  llmConfig = resolveLLMConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Agents in agents/ and the plugins directory (PROOFI_PLUGINS_DIR)
+let agents;
+try {
+  agents = await loadAgents();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Capability tokens for the agent routes (key: PROOFI_TOKEN_SECRET, or random per start)
+const tokens = createTokenIssuer();
+
+// Append-only, hash-chained audit log (PROOFI_AUDIT_LOG, default ./data/audit.jsonl)
+let audit;
+try {
+  audit = openAuditLog();
+} catch (err) {
+  console.error(`❌ Audit log: ${err.message}`);
+  process.exit(1);
+}
+
+// Encrypted on-disk store, enabled by PROOFI_PASSPHRASE (directory: PROOFI_DATA_DIR)
+let store = null;
+if (process.env.PROOFI_PASSPHRASE) {
+  try {
+    store = await openStore();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // State
-let healthData = null;
+let healthData = store ? await store.loadHealth() : null;
+let usingSample = false;
 let userGoals = ['Better Sleep', 'More Energy'];
-let agentResults = {};
+let userTimeZone = resolveTimeZone();
+let agentResults = store ? await store.loadResults() : {};
 
 // API: Status
 app.get('/api/status', async (req, res) => {
-  const ollamaReady = await isAvailable();
-  const models = ollamaReady ? await listModels() : [];
+  const llmReady = await isAvailable(llmConfig);
+  const models = llmReady ? await listModels(llmConfig) : [];
   res.json({
-    ollama: ollamaReady,
+    // `ollama` predates the other providers; it means the same as llm.available
+    ollama: llmReady,
+    llm: { provider: llmConfig.provider, ...describeProvider(llmConfig), baseUrl: llmConfig.baseUrl, available: llmReady },
     models,
+    model: llmConfig.model,
     hasData: !!healthData,
     dataStats: healthData ? Object.fromEntries(
       Object.entries(healthData).map(([k, v]) => [k, v.length])
     ) : null,
     goals: userGoals,
-    agents: {
-      crossSource: agentResults.crossSource ? 'complete' : 'pending',
-      trend: agentResults.trend ? 'complete' : 'pending',
-      brief: agentResults.brief ? 'complete' : 'pending'
-    }
+    timeZone: userTimeZone,
+    store: store ? { dir: store.dir, sample: usingSample } : null,
+    agents: Object.fromEntries(agents.map(a => [a.resultKey, agentResults[a.resultKey] ? 'complete' : 'pending']))
   });
 });
 
 // API: Load sample data
 app.post('/api/data/sample', (req, res) => {
   const days = req.body?.days || 90;
-  healthData = generateSampleData(days);
+  try {
+    if (req.body?.timeZone) userTimeZone = resolveTimeZone(req.body.timeZone);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // Sample data lives in memory only; the stored history is untouched
+  healthData = generateSampleData(days, { timeZone: userTimeZone });
+  usingSample = true;
   userGoals = req.body?.goals || userGoals;
   agentResults = {};
   const totalRecords = Object.values(healthData).reduce((sum, arr) => sum + arr.length, 0);
+  audit.append('DATA_LOADED', { source: 'sample', days, totalRecords });
   res.json({
     ok: true,
     days,
@@ -61,28 +120,69 @@ app.post('/api/data/sample', (req, res) => {
   });
 });
 
-// API: Upload Apple Health XML
-app.post('/api/data/upload', (req, res) => {
+// API: Upload a health export (Apple Health, Google Fit, Fitbit, Garmin, Oura/Whoop)
+// JSON body { xml, goals } for small Apple exports; otherwise POST the file itself
+// (goals as ?goals=a,b, importer as ?format=id if sniffing isn't enough,
+// device preference as ?sourcePriority=Apple Watch,iPhone or PROOFI_SOURCE_PRIORITY,
+// time zone for offset-less timestamps as ?tz=Europe/Amsterdam)
+app.post('/api/data/upload', async (req, res) => {
+  const tmpPath = join(__dirname, `.tmp-health-export-${Date.now()}`);
   try {
-    const { xml, goals } = req.body;
-    if (!xml) return res.status(400).json({ error: 'No XML data provided' });
-
-    // Write temp file for parser
-    const tmpPath = join(__dirname, '.tmp-health-export.xml');
-    writeFileSync(tmpPath, xml);
-    const { records, workouts } = parseAppleHealthXML(tmpPath);
-    healthData = extractHealthData(records, workouts);
+    if (req.query.tz) userTimeZone = resolveTimeZone(String(req.query.tz));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    let goals;
+    if (req.is('application/json')) {
+      const { xml } = req.body;
+      goals = req.body.goals;
+      if (!xml) return res.status(400).json({ error: 'No XML data provided' });
+      writeFileSync(tmpPath, xml);
+    } else {
+      goals = req.query.goals ? String(req.query.goals).split(',') : null;
+      await pipeline(req, createWriteStream(tmpPath));
+      if (!statSync(tmpPath).size) return res.status(400).json({ error: 'Empty upload' });
+    }
+
+    const sourcePriority = parseSourcePriority(req.query.sourcePriority || process.env.PROOFI_SOURCE_PRIORITY);
+    // With a store, records already saved are skipped and new days merge into the history
+    const incremental = await store?.planImport();
+    const imported = await importHealthData(tmpPath, {
+      format: req.query.format,
+      sourcePriority,
+      timeZone: userTimeZone,
+      incremental
+    });
+    healthData = store ? await store.mergeHealth(imported, { sourcePriority, incremental }) : imported;
+    usingSample = false;
     if (goals) userGoals = goals;
-    agentResults = {};
+    const importedRecords = Object.values(imported).reduce((sum, arr) => sum + arr.length, 0);
+    if (importedRecords) {
+      agentResults = {};
+      await store?.saveResults(agentResults);
+    }
 
     const totalRecords = Object.values(healthData).reduce((sum, arr) => sum + arr.length, 0);
+    audit.append('DATA_LOADED', {
+      source: 'upload',
+      format: req.query.format || null,
+      importedRecords,
+      skippedRecords: incremental?.skipped || 0,
+      totalRecords,
+      stored: !!store
+    });
     res.json({
       ok: true,
       totalRecords,
+      importedRecords,
+      skippedRecords: incremental?.skipped || 0,
       types: Object.fromEntries(Object.entries(healthData).map(([k, v]) => [k, v.length]))
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
+  } finally {
+    rmSync(tmpPath, { force: true });
   }
 });
 
@@ -92,61 +192,233 @@ app.post('/api/goals', (req, res) => {
   res.json({ ok: true, goals: userGoals });
 });
 
+// API: Set time zone (IANA name); applies to the next upload and the weekly brief
+app.post('/api/timezone', (req, res) => {
+  try {
+    userTimeZone = resolveTimeZone(req.body?.timeZone);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ ok: true, timeZone: userTimeZone });
+});
+
+// API: Grant an agent access to some of the data — the consent step
+// Body: { agent (route name), scopes: ['health/sleep/*', ...], durationMs (default 1h) }
+// Resolves with { token, tokenId, agentId, scopes, createdAt, expiresAt }; send the token
+// as "Authorization: Bearer <token>" (or ?token= on the stream route, for EventSource).
+app.post('/api/tokens', (req, res) => {
+  const agent = findAgent(agents, req.body?.agent);
+  if (!agent) return res.status(404).json({ error: `Unknown agent: ${req.body?.agent}` });
+  let issued;
+  try {
+    issued = tokens.issue(agent.meta.id, req.body.scopes, req.body.durationMs);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { tokenId, agentId, scopes, expiresAt } = issued;
+  audit.append('TOKEN_CREATED', { tokenId, agentId, scopes, expiresAt });
+  res.json(issued);
+});
+
+// API: Revoke a token before it expires
+app.delete('/api/tokens/:tokenId', (req, res) => {
+  const revoked = tokens.revoke(req.params.tokenId);
+  audit.append('TOKEN_REVOKED', { tokenId: req.params.tokenId, revoked });
+  res.json({ ok: true, revoked });
+});
+
+// API: The agents, in display order — AGENT_META plus route, resultKey and aliases
+app.get('/api/agents', (req, res) => {
+  res.json(agents.map(describeAgent));
+});
+
 // API: Run agent
+// Needs a token from POST /api/tokens for this agent; the agent sees only the data types
+// its scopes grant. 401 without a valid token, 403 when it's for another agent or leaves
+// out required data. `access` ({ tokenId, scopes, denied }) names the declared types withheld.
+// Body: { goals, model, temperature, numCtx, numPredict, noLlm } — all optional.
+// noLlm: true builds the reply from the computed stats without a model; that's
+// also what happens when the LLM server isn't available (the result says why in `fallback`).
+// If the client disconnects first, the model call is cancelled and nothing is stored.
+// 422 with `insufficientData` (see lib/preflight.js) when the data doesn't meet the agent's AGENT_META.
 app.post('/api/agent/:name', async (req, res) => {
-  if (!healthData) {
-    return res.status(400).json({ error: 'No health data loaded. Load sample or upload XML first.' });
+  const prepared = await prepareRun(req.params.name, req.body || {}, bearerToken(req));
+  if (prepared.error) {
+    const { status, error, insufficientData, access } = prepared;
+    return res.status(status).json({ error, insufficientData, access });
   }
 
-  const available = await isAvailable();
-  if (!available) {
-    return res.status(503).json({ error: 'Ollama is not running. Start with: brew services start ollama' });
+  const signal = abortOnDisconnect(res);
+  try {
+    res.json(await runAgent(prepared, undefined, signal));
+  } catch (err) {
+    if (!signal.aborted) res.status(500).json({ error: err.message });
   }
+});
 
-  const { name } = req.params;
-  const goals = req.body?.goals || userGoals;
+// API: Run agent, streaming progress as Server-Sent Events
+// A GET so EventSource can open it; same options as query params (?goals=a,b&model=...&noLlm=1).
+// Events: progress ({ phase, ... }), token ({ text }), result (the full result), error ({ error, status, insufficientData?, access? })
+// Closing the EventSource cancels the run.
+app.get('/api/agent/:name/stream', async (req, res) => {
+  const query = { ...req.query, goals: req.query.goals ? String(req.query.goals).split(',') : undefined };
+  const prepared = await prepareRun(req.params.name, query, bearerToken(req));
 
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  if (prepared.error) {
+    const { status, error, insufficientData, access } = prepared;
+    send('error', { error, status, insufficientData, access });
+    return res.end();
+  }
+  const signal = abortOnDisconnect(res);
   try {
-    let result;
-    switch (name) {
-      case 'cross-source':
-        result = await runCrossSource(healthData, goals);
-        agentResults.crossSource = result;
-        break;
-      case 'trend':
-        result = await runTrend(healthData, goals);
-        agentResults.trend = result;
-        break;
-      case 'brief':
-        result = await runBrief(healthData, goals);
-        agentResults.brief = result;
-        break;
-      default:
-        return res.status(404).json({ error: `Unknown agent: ${name}` });
-    }
-    res.json(result);
+    const result = await runAgent(prepared, ({ phase, ...detail }) => {
+      if (phase === 'token') send('token', detail);
+      else send('progress', { phase, ...detail });
+    }, signal);
+    send('result', result);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (signal.aborted) return;
+    send('error', { error: err.message, status: 500 });
   }
+  res.end();
 });
 
 // API: Get results
 app.get('/api/results', (req, res) => {
+  audit.append('RESULTS_READ', { results: Object.keys(agentResults) });
   res.json(agentResults);
 });
 
 // API: Get results for specific agent
 app.get('/api/results/:name', (req, res) => {
-  const map = { 'cross-source': 'crossSource', trend: 'trend', brief: 'brief' };
-  const key = map[req.params.name];
+  const key = findAgent(agents, req.params.name)?.resultKey;
   if (!key || !agentResults[key]) return res.status(404).json({ error: 'No results yet' });
+  audit.append('RESULTS_READ', { results: [key] });
   res.json(agentResults[key]);
 });
 
+// API: The server's audit log, checked end to end (see lib/audit-log.js; CLI: npm run verify-audit)
+// ?limit=N returns only the last N entries; verification always covers the whole log.
+app.get('/api/audit', (req, res) => {
+  const entries = audit.entries();
+  const limit = Number.parseInt(req.query.limit, 10);
+  res.json({
+    path: audit.path,
+    verification: { algorithm: 'SHA-256', ...verifyChain(entries) },
+    entries: limit > 0 ? entries.slice(-limit) : entries
+  });
+});
+
+// Checks shared by the JSON and streaming agent routes.
+// Resolves with { agent, data, access, goals, llm, template, fallback } or { status, error, insufficientData?, access? };
+// data is the part of the health data the agent declared and the token grants.
+async function prepareRun(name, input, credential) {
+  const agent = findAgent(agents, name);
+  if (!agent) return { status: 404, error: `Unknown agent: ${name}` };
+
+  const reject = (status, reason, tokenId = null) => {
+    audit.append('TOKEN_REJECTED', { tokenId, agentId: agent.meta.id, reason });
+    return { status, error: `Access token rejected: ${reason}` };
+  };
+  if (!credential) return reject(401, 'No access token. Create one with POST /api/tokens.');
+  const verified = tokens.verify(credential);
+  if (!verified.valid) return reject(401, verified.reason);
+  const { tokenId, agentId, scopes } = verified.token;
+  if (agentId !== agent.meta.id) return reject(403, `issued to ${agentId}, not ${agent.meta.id}`, tokenId);
+  audit.append('TOKEN_ACCEPTED', { tokenId, agentId, scopes });
+
+  if (!healthData) {
+    return { status: 400, error: 'No health data loaded. Load sample or upload XML first.' };
+  }
+  const granted = filterByScopes(healthData, scopes);
+  const declared = declaredTypes(agent.meta);
+  const access = { tokenId, scopes, denied: granted.denied.filter(type => declared.includes(type)) };
+  if (access.denied.length) audit.append('SCOPE_DENIED', { tokenId, agentId, denied: access.denied.map(scopeFor) });
+
+  const checked = preflight(agent.meta, granted.data);
+  if (!checked.ok) {
+    // Loaded but not granted: the token is what falls short, not the data
+    if (preflight(agent.meta, healthData).ok) {
+      return { status: 403, error: `Access token doesn't cover the data ${agent.meta.name} needs (${checked.report.message})`, insufficientData: checked.report, access };
+    }
+    return { status: 422, error: checked.report.message, insufficientData: checked.report, access };
+  }
+  const { data } = checked;
+
+  let llm;
+  try {
+    llm = resolveLLMConfig(llmOverrides(input));
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+
+  const goals = input.goals || userGoals;
+  if ([true, 'true', '1'].includes(input.noLlm)) return { agent, data, access, goals, llm, template: true };
+  if (!await isAvailable(llm)) {
+    const { name: server, startHint } = describeProvider(llm);
+    return { agent, data, access, goals, llm, template: true, fallback: `${server} is not running at ${llm.baseUrl}, so the reply was built from templates. Start it with: ${startHint}` };
+  }
+  return { agent, data, access, goals, llm, template: false };
+}
+
+async function runAgent({ agent, data, access, goals, llm, template, fallback }, onProgress, signal) {
+  const { id: agentId, version: agentVersion } = agent.meta;
+  let result;
+  try {
+    result = await agent.run(data, goals, { timeZone: userTimeZone, llm, template, signal, onProgress });
+    signal?.throwIfAborted();
+  } catch (err) {
+    audit.append('AGENT_FAILED', { tokenId: access.tokenId, agentId, agentVersion, error: signal?.aborted ? 'cancelled' : err.message });
+    throw err;
+  }
+  audit.append('AGENT_EXECUTED', {
+    tokenId: access.tokenId,
+    agentId,
+    agentVersion,
+    dataTypes: Object.keys(data).filter(type => data[type].length),
+    renderer: result.renderer,
+    model: result.model,
+    processingTime: result.processingTime
+  });
+  if (fallback) result.fallback = fallback;
+  result.access = access;
+  agentResults[agent.resultKey] = result;
+  if (store && !usingSample) await store.saveResults(agentResults);
+  return result;
+}
+
+// The token from "Authorization: Bearer <token>", or ?token= since EventSource can't set headers
+function bearerToken(req) {
+  return req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1] || req.query.token;
+}
+
+// Aborted when the connection closes before the response has been sent
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
+  });
+  return controller.signal;
+}
+
 app.listen(PORT, () => {
   console.log(`\n🔬 PROOFI AGENTS — Local Dashboard`);
   console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
   console.log(`🌐 Dashboard:  http://localhost:${PORT}`);
   console.log(`🔒 Processing: 100% LOCAL`);
+  console.log(`🧠 Model:      ${llmConfig.model} @ ${llmConfig.baseUrl} (${describeProvider(llmConfig).name})`);
+  console.log(`🤖 Agents:     ${agents.map(a => a.source === 'plugin' ? `${a.route} (plugin)` : a.route).join(', ')}`);
+  const chain = audit.verify();
+  console.log(`🧾 Audit log:  ${audit.path} (${chain.valid ? `${chain.entries} entries, chain intact` : `⚠️  chain broken at entry ${chain.brokenAt}: ${chain.reason}`})`);
+  console.log(store
+    ? `💾 Store:      ${store.dir} (encrypted)${healthData ? ` — ${Object.values(healthData).reduce((sum, arr) => sum + arr.length, 0).toLocaleString()} records` : ''}`
+    : `💾 Store:      off (set PROOFI_PASSPHRASE to keep data between restarts)`);
   console.log(`📡 Data sent:  ZERO BYTES\n`);
 });
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Proofi Audit Verifier
+ * Checks an audit trail end to end: every entry's hash recomputed and every
+ * prevHash linked to the entry before it (see lib/audit-log.js). Takes either
+ * the server's log or a dashboard export ("Export audit"), for which it also
+ * checks the exported finalHash and the wallet's ed25519 signature — no
+ * browser or wallet extension needed.
+ *
+ * Usage:
+ *   node verify-audit.js                  # PROOFI_AUDIT_LOG, or audit.jsonl in PROOFI_DATA_DIR (default ./data)
+ *   node verify-audit.js path/to/audit.jsonl
+ *   node verify-audit.js proofi-audit-1700000000000.json [--require-signature]
+ *   npm run verify-audit
+ *
+ * Exits 0 when everything checks out, 1 when something doesn't or can't be read.
+ * An unsigned export passes unless --require-signature is given.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { readAuditLog, verifyChain, verifyBundle, defaultAuditPath } from './lib/audit-log.js';
+
+const args = process.argv.slice(2);
+const requireSignature = args.includes('--require-signature');
+const path = args.find(a => !a.startsWith('--')) || defaultAuditPath();
+
+try {
+  const bundle = readBundle(path);
+  console.log(`\n🧾 ${path}${bundle ? ' (audit export)' : ''}`);
+  const entries = bundle ? bundle.entries : readAuditLog(path);
+  const checked = bundle ? verifyBundle(bundle) : { chain: verifyChain(entries) };
+  let ok = reportChain(entries, checked.chain);
+
+  if (bundle) {
+    if (checked.finalHashMatches) {
+      console.log('✅ Ends at the exported finalHash');
+    } else {
+      console.log(`❌ The exported finalHash (${bundle.verification?.finalHash}) is not the last entry's hash`);
+      ok = false;
+    }
+    if (bundle.verification?.chainValid !== undefined && bundle.verification.chainValid !== checked.chain.valid) {
+      console.log(`⚠️  The export claims chainValid: ${bundle.verification.chainValid}`);
+    }
+    ok = reportSignature(bundle, checked.signature, entries.length) && ok;
+  }
+  console.log('');
+  if (!ok) process.exit(1);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Helpers
+
+// The parsed export, or null for a JSON Lines log
+function readBundle(file) {
+  if (!existsSync(file)) throw new Error(`Audit file not found: ${file}`);
+  try {
+    const parsed = JSON.parse(readFileSync(file, 'utf8'));
+    return Array.isArray(parsed?.entries) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function reportChain(entries, result) {
+  if (!result.valid) {
+    const entry = entries[result.brokenAt];
+    console.log(`❌ Chain broken at entry ${result.brokenAt}: ${result.reason}`);
+    if (entry?.timestamp) console.log(`   ${entry.action} at ${new Date(entry.timestamp).toISOString()}`);
+    console.log(`   Entries before it check out; it and everything after can't be trusted.`);
+    return false;
+  }
+  console.log(`✅ Chain intact: ${result.entries} entries`);
+  if (entries.length) {
+    const actions = entries.reduce((counts, e) => ({ ...counts, [e.action]: (counts[e.action] || 0) + 1 }), {});
+    console.log(`   ${new Date(entries[0].timestamp).toISOString()} → ${new Date(entries.at(-1).timestamp).toISOString()}`);
+    console.log(`   ${Object.entries(actions).map(([action, n]) => `${action} ×${n}`).join(', ')}`);
+    console.log(`   Final hash: ${result.finalHash}`);
+  }
+  return true;
+}
+
+function reportSignature(bundle, result, total) {
+  if (!result) {
+    console.log(`${requireSignature ? '❌' : '⚠️ '} Not signed (no wallet was connected)`);
+    return !requireSignature;
+  }
+  const { signer, algorithm } = bundle.signature;
+  if (!result.valid) {
+    console.log(`❌ Signature by ${signer} (${algorithm}): ${result.reason}`);
+    return false;
+  }
+  console.log(`✅ Signed by ${signer} (${algorithm}), covering entries 0–${result.coversEntries - 1} of ${total}`);
+  if (result.signerMatches === null) console.log(`   ⚠️  ${signer} is not an SS58 address, so the key couldn't be tied to it`);
+  if (result.coversEntries < total) console.log(`   Later entries are covered by the hash chain only`);
+  return true;
+}